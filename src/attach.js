@@ -0,0 +1,108 @@
+export default function install() {
+  const Matter = require('matter-js');
+  const {Common, Engine, Runner, Render, MouseConstraint, World} = Matter;
+
+  const _attachments = new WeakMap();
+
+  /**
+  * Attaches a physics world to a spritejs layer: creates an engine, a runner stepping it from the frame loop
+  * of a new renderer (see `Render.run`), and a mouse constraint fed by the events of the layer (see `MouseConstraint.fromLayer`).
+  * Each layer owns its own world, so several layers of a scene can be attached independently.
+  * Attaching a layer again destroys its previous world.
+  *
+  *   const {engine, world} = Matter.attach(layer, {enableSleeping: true}, {render: {options: {wireframes: false}}});
+  *
+  * @method attach
+  * @param {Layer} layer
+  * @param {object} [engineOptions] The options of `Engine.create`
+  * @param {object} [options]
+  * @param {object} [options.render] The options of `Render.create`
+  * @param {object} [options.runner] The options of `Runner.create`, or of `Runner.createFixed` with `fixedStep`
+  * @param {boolean} [options.fixedStep=false] Whether the engine is stepped by a fixed delta,
+  *   with the bodies drawn interpolated between steps (see `Runner.createFixed`)
+  * @param {boolean} [options.timeline=false] Whether the engine is stepped by the time of the timeline of the layer,
+  *   following its pauses and playback rate (see `Render.run`)
+  * @param {boolean} [options.mouse=true] Whether bodies can be dragged with the mouse and touches
+  * @param {object} [options.mouseConstraint] The options of the constraint of `MouseConstraint.create`
+  * @return {object} A handle with the `engine`, `world`, `runner`, `render`, `mouse` and `mouseConstraint`,
+  *   and the `pause`, `resume` and `destroy` methods
+  */
+  Matter.attach = function (layer, engineOptions, options = {}) {
+    const previous = _attachments.get(layer);
+    if(previous) {
+      Common.warn('Matter.attach: the layer already has a world attached, destroying it.');
+      previous.destroy();
+    }
+
+    const engine = Engine.create(engineOptions),
+      runner = options.fixedStep ? Runner.createFixed(options.runner) : Runner.create(options.runner),
+      renderOptions = Object.assign({}, options.render, {layer, engine, runner});
+
+    if(options.fixedStep) {
+      renderOptions.options = Object.assign({interpolate: true}, renderOptions.options);
+    }
+
+    const render = Render.create(renderOptions);
+
+    let mouse = null,
+      mouseConstraint = null;
+
+    if(options.mouse !== false) {
+      mouseConstraint = MouseConstraint.fromLayer(engine, layer, {
+        constraint: Object.assign({
+          stiffness: 0.2,
+          render: {visible: false},
+        }, options.mouseConstraint),
+      });
+      mouse = mouseConstraint.mouse;
+      World.add(engine.world, mouseConstraint);
+      render.mouse = mouse;
+    }
+
+    const attachment = {
+      engine,
+      world: engine.world,
+      runner,
+      render,
+      mouse,
+      mouseConstraint,
+
+      /**
+      * Stops stepping the engine. The layer keeps being rendered.
+      * @method pause
+      */
+      pause() {
+        runner.enabled = false;
+      },
+
+      /**
+      * Resumes stepping the engine.
+      * @method resume
+      */
+      resume() {
+        runner.enabled = true;
+      },
+
+      /**
+      * Stops the world and removes everything it added to the layer.
+      * @method destroy
+      */
+      destroy() {
+        if(_attachments.get(layer) !== attachment) return;
+        _attachments.delete(layer);
+
+        Render.destroy(render);
+        if(mouseConstraint) MouseConstraint.destroy(mouseConstraint);
+        World.clear(engine.world, false);
+        Engine.clear(engine);
+      },
+    };
+
+    _attachments.set(layer, attachment);
+    Render.run(render, {timeline: !!options.timeline});
+
+    return attachment;
+  };
+
+  return {Matter};
+}
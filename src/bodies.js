@@ -0,0 +1,324 @@
+export default function install({Path, Group}) {
+  const Matter = require('matter-js');
+  const {Common, Body, Bodies, Vertices, World, Render} = Matter;
+
+  /**
+  * Creates a body matching the geometry of a spritejs node as it is laid out on its layer:
+  * a rectangle for Sprites and Labels (or a circle when `borderRadius` makes them round),
+  * a polygon for Paths (decomposed into a compound body when concave, if poly-decomp is available)
+  * and a compound body of all the children for Groups.
+  * The options are passed to the `Matter.Body` created.
+  * @method fromNode
+  * @param {BaseSprite} node
+  * @param {object} [options]
+  * @param {number} [segments=8] The number of segments each curve of a Path is approximated with
+  * @return {body} A new body, or null when the node has no area (e.g. an open line)
+  */
+  Bodies.fromNode = function (node, options, segments = 8) {
+    return _createBody(_nodeParts(node, segments, point => point), options || {}, 'Bodies.fromNode');
+  };
+
+  /**
+  * Creates a body from a polygon given in world coordinates, where it stays.
+  * Unlike `Bodies.fromVertices`, convex polygons don't require poly-decomp,
+  * and concave ones fallback to their convex hull when it is not available.
+  * @method fromPolygon
+  * @param {vector[]} vertices
+  * @param {object} [options]
+  * @return {body} A new body, or null when there are less than 3 vertices
+  */
+  Bodies.fromPolygon = function (vertices, options) {
+    return _createBody(_polygonParts(vertices), options || {}, 'Bodies.fromPolygon');
+  };
+
+  /**
+  * Creates a body from the geometry of a node (see `Bodies.fromNode`), adds it to the world of the render
+  * and binds the node to it, so that the node is driven by the physics from now on.
+  * The node is laid out in the view of the render, so the body is mapped to the world (see `Render.viewToWorld`).
+  * @method addNode
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @param {object} [options]
+  * @param {number} [segments=8]
+  * @return {body} The body created, or null when the node has no area
+  */
+  Render.addNode = function (render, node, options, segments = 8) {
+    const toWorld = ([x, y]) => {
+        const point = Render.viewToWorld(render, {x, y});
+        return [point.x, point.y];
+      },
+      body = _createBody(_nodeParts(node, segments, toWorld), options || {}, 'Render.addNode');
+
+    if(!body) {
+      return null;
+    }
+
+    World.add(render.engine.world, body);
+    Render.bind(render, node, body);
+
+    return body;
+  };
+
+  /**
+  * Creates a body from part definitions, compound if there are several of them.
+  * Warns and returns null when there are none, rather than letting `Body.create` make a default body.
+  * @method createBody
+  * @private
+  * @param {object[]} parts
+  * @param {object} options
+  * @param {string} caller The method named in the warning
+  * @return {body} body
+  */
+  function _createBody(parts, options, caller) {
+    if(!parts.length) {
+      Common.warn(`${caller}: no polygon of at least 3 points found, no body created.`);
+      return null;
+    }
+
+    if(parts.length === 1) {
+      return Body.create(Common.extend({}, parts[0], options));
+    }
+
+    const bodies = [];
+    for(let i = 0; i < parts.length; i++) {
+      bodies.push(Body.create(Common.extend({}, parts[i], options)));
+    }
+
+    return Body.create(Common.extend({}, options, {parts: bodies}));
+  }
+
+  /**
+  * Maps a point in the box of a node (its `originalRect`) to the coordinates of its layer,
+  * through the transforms of the node and of the groups it belongs to.
+  * @method boxToLayer
+  * @private
+  * @param {BaseSprite} node
+  * @param {number[]} point
+  * @return {number[]} point
+  */
+  function _boxToLayer(node, [x, y]) {
+    const [ox, oy] = node.originalRect,
+      [px, py] = node.attr('pos'),
+      [tx, ty] = node.transform.transformPoint(ox + x, oy + y),
+      parent = node.parent;
+
+    if(parent instanceof Group) {
+      // group children are positioned inside the border and padding of the group
+      const {width} = parent.attr('border'),
+        padding = parent.attr('padding');
+
+      return _boxToLayer(parent, [px + tx + width + padding[3], py + ty + width + padding[0]]);
+    }
+    return [px + tx, py + ty];
+  }
+
+  /**
+  * Returns the body definitions (position, vertices and circleRadius) of the parts of a node.
+  * @method nodeParts
+  * @private
+  * @param {BaseSprite} node
+  * @param {number} segments
+  * @param {function} toWorld Maps a point of the layer to the world
+  * @return {object[]} parts
+  */
+  function _nodeParts(node, segments, toWorld) {
+    if(node instanceof Group && node.children.length) {
+      let parts = [];
+      for(let i = 0; i < node.children.length; i++) {
+        parts = parts.concat(_nodeParts(node.children[i], segments, toWorld));
+      }
+      return parts;
+    }
+
+    if(node instanceof Path && node.svg) {
+      return _pathParts(node, segments, toWorld);
+    }
+
+    const [width, height] = node.offsetSize,
+      [x0, y0] = toWorld(_boxToLayer(node, [0, 0])),
+      [x1, y1] = toWorld(_boxToLayer(node, [width, 0])),
+      [x2, y2] = toWorld(_boxToLayer(node, [0, height])),
+      [cx, cy] = toWorld(_boxToLayer(node, [width / 2, height / 2])),
+      w = Math.hypot(x1 - x0, y1 - y0),
+      h = Math.hypot(x2 - x0, y2 - y0),
+      angle = Math.atan2(y1 - y0, x1 - x0);
+
+    if(Math.abs(width - height) < 1 && node.attr('borderRadius') >= width / 2) {
+      const circle = Bodies.circle(cx, cy, w / 2);
+      return [{
+        position: circle.position,
+        vertices: circle.vertices,
+        circleRadius: circle.circleRadius,
+      }];
+    }
+
+    // vertices are rotated by the angle when the body is created
+    const rect = Bodies.rectangle(cx, cy, w, h);
+    return [{
+      position: rect.position,
+      vertices: rect.vertices,
+      angle,
+    }];
+  }
+
+  /**
+  * Returns the parts of a Path, one polygon per subpath.
+  * @method pathParts
+  * @private
+  * @param {Path} node
+  * @param {number} segments
+  * @param {function} toWorld
+  * @return {object[]} parts
+  */
+  function _pathParts(node, segments, toWorld) {
+    const polygons = _pathPolygons(node, segments, toWorld);
+
+    let parts = [];
+    for(let i = 0; i < polygons.length; i++) {
+      if(polygons[i].length >= 3) {
+        parts = parts.concat(_polygonParts(polygons[i]));
+      }
+    }
+    return parts;
+  }
+
+  /**
+  * Returns the parts of a polygon, decomposed when concave.
+  * @method polygonParts
+  * @private
+  * @param {vector[]} vertices
+  * @return {object[]} parts
+  */
+  function _polygonParts(vertices) {
+    if(vertices.length < 3) {
+      return [];
+    }
+
+    if(Vertices.isConvex(vertices)) {
+      return [{
+        position: Vertices.centre(vertices),
+        vertices: Vertices.clockwiseSort(vertices),
+      }];
+    }
+
+    if(!_canDecompose()) {
+      // Bodies.fromVertices throws without poly-decomp, fallback to the convex hull as it would
+      Common.warn('Bodies.fromPolygon: poly-decomp.js required. Could not decompose vertices. Fallback to convex hull.');
+      const hull = Vertices.hull(vertices);
+      return [{
+        position: Vertices.centre(hull),
+        vertices: hull,
+      }];
+    }
+
+    const position = Vertices.centre(vertices),
+      body = Bodies.fromVertices(position.x, position.y, [vertices]),
+      bodyParts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+
+    return bodyParts.map(part => ({
+      position: part.position,
+      vertices: part.vertices,
+    }));
+  }
+
+  /**
+  * Checks whether poly-decomp is available to `Bodies.fromVertices`.
+  * @method canDecompose
+  * @private
+  * @return {boolean}
+  */
+  function _canDecompose() {
+    if(typeof window !== 'undefined' && window.decomp) {
+      return true;
+    }
+    try {
+      return !!Common._requireGlobal('decomp', 'poly-decomp');
+    } catch (ex) {
+      return false;
+    }
+  }
+
+  /**
+  * Flattens the subpaths of a Path into polygons in world coordinates.
+  * @method pathPolygons
+  * @private
+  * @param {Path} node
+  * @param {number} segments
+  * @param {function} toWorld
+  * @return {vector[][]} polygons
+  */
+  function _pathPolygons(node, segments, toWorld) {
+    const svg = node.svg,
+      [bx, by] = svg.bounds,
+      [offsetX, offsetY] = node.pathOffset,
+      {width} = node.attr('border'),
+      padding = node.attr('padding'),
+      // the path is drawn at these coordinates inside the box of the node
+      dx = width + padding[3] - Math.min(0, bx) + offsetX,
+      dy = width + padding[0] - Math.min(0, by) + offsetY,
+      polygons = [];
+
+    let polygon,
+      x0 = 0,
+      y0 = 0;
+
+    const addPoint = (x, y) => {
+      const [x1, y1] = toWorld(_boxToLayer(node, [x + dx, y + dy])),
+        last = polygon[polygon.length - 1];
+
+      if(!last || Math.abs(last.x - x1) > 0.01 || Math.abs(last.y - y1) > 0.01) {
+        polygon.push({x: x1, y: y1});
+      }
+    };
+
+    // normalized paths are made of moveTo and cubic bezier curves only
+    const commands = svg.path;
+    for(let i = 0; i < commands.length; i++) {
+      const [cmd, ...args] = commands[i];
+
+      if(cmd === 'M') {
+        polygon = [];
+        polygons.push(polygon);
+        [x0, y0] = args;
+        addPoint(x0, y0);
+      } else {
+        const [c1x, c1y, c2x, c2y, x, y] = args,
+          cross1 = (c1x - x0) * (y - y0) - (c1y - y0) * (x - x0),
+          cross2 = (c2x - x0) * (y - y0) - (c2y - y0) * (x - x0);
+
+        if(Math.abs(cross1) < 1e-6 && Math.abs(cross2) < 1e-6) {
+          // straight line
+          addPoint(x, y);
+        } else {
+          for(let j = 1; j <= segments; j++) {
+            const t = j / segments,
+              mt = 1 - t,
+              a = mt * mt * mt,
+              b = 3 * mt * mt * t,
+              c = 3 * mt * t * t,
+              d = t * t * t;
+
+            addPoint(a * x0 + b * c1x + c * c2x + d * x, a * y0 + b * c1y + c * c2y + d * y);
+          }
+        }
+        x0 = x;
+        y0 = y;
+      }
+    }
+
+    for(let i = 0; i < polygons.length; i++) {
+      // closed subpaths end on their first point
+      const vertices = polygons[i],
+        first = vertices[0],
+        last = vertices[vertices.length - 1];
+
+      if(vertices.length > 1 && Math.abs(first.x - last.x) < 0.01 && Math.abs(first.y - last.y) < 0.01) {
+        vertices.pop();
+      }
+    }
+
+    return polygons;
+  }
+
+  return {Matter};
+}
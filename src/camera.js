@@ -0,0 +1,302 @@
+export default function install() {
+  const Matter = require('matter-js');
+  const {Common, Events, Render} = Matter;
+
+  const Camera = {};
+
+  /**
+  * Creates a camera controlling the viewport (`render.bounds`) of a renderer, updated before each frame is drawn.
+  * The camera starts from the current view of the renderer, e.g. as set by `Render.lookAt`.
+  *
+  *   const camera = Camera.create(render, {bounds: {min: {x: 0, y: 0}, max: {x: 4000, y: 600}}});
+  *   Camera.follow(camera, player, {deadzone: {width: 200, height: 100}, lookAhead: 10});
+  *
+  * @method create
+  * @param {render} render
+  * @param {object} [options]
+  * @return {camera} A new camera
+  */
+  Camera.create = function (render, options) {
+    const {min, max} = render.bounds,
+      defaults = {
+        render,
+        target: null,
+        position: {x: (min.x + max.x) / 2, y: (min.y + max.y) / 2},
+        zoom: render.options.hasBounds ? render.canvas.width / (max.x - min.x) : 1,
+        lerp: 1,
+        deadzone: null,
+        lookAhead: 0,
+        bounds: null,
+        shakeOffset: 20,
+        shakeDecay: 1.5,
+        trauma: 0,
+        zooming: null,
+        timePrev: null,
+      };
+
+    // the target is a body, which Common.extend would clone (and overflow on its circular `parent`)
+    const settings = Object.assign({}, options);
+    delete settings.target;
+    delete settings.render;
+
+    const camera = Common.extend(defaults, settings);
+
+    camera.render = render;
+    camera.target = options && options.target || null;
+
+    camera.update = () => Camera.update(camera);
+    Events.on(render, 'beforeRender', camera.update);
+
+    return camera;
+  };
+
+  /**
+  * Makes the camera follow a body, or anything with a `position` (and a `velocity` for the look-ahead).
+  * @method follow
+  * @param {camera} camera
+  * @param {body} target The target to follow, or null to stop following
+  * @param {object} [options] The `lerp`, `deadzone` and `lookAhead` of the camera
+  */
+  Camera.follow = function (camera, target, options) {
+    camera.target = target || null;
+    Object.assign(camera, options);
+  };
+
+  /**
+  * Animates the zoom of the camera, i.e. the number of pixels of the layer per unit of the world.
+  * @method zoomTo
+  * @param {camera} camera
+  * @param {number} zoom
+  * @param {number} [duration=0] In milliseconds
+  */
+  Camera.zoomTo = function (camera, zoom, duration = 0) {
+    if(duration > 0) {
+      camera.zooming = {from: camera.zoom, to: zoom, duration, elapsed: 0};
+    } else {
+      camera.zoom = zoom;
+      camera.zooming = null;
+    }
+  };
+
+  /**
+  * Shakes the camera. Impulses add up, and the shake decays by `camera.shakeDecay` per second.
+  * @method shake
+  * @param {camera} camera
+  * @param {number} [impulse=0.5] Between 0 and 1, the shake offsets by up to `camera.shakeOffset` pixels at 1
+  */
+  Camera.shake = function (camera, impulse = 0.5) {
+    camera.trauma = Math.min(1, camera.trauma + impulse);
+  };
+
+  /**
+  * Moves the camera towards its target, then updates the viewport of the renderer and its mouse.
+  * Called before each frame is drawn.
+  * @method update
+  * @param {camera} camera
+  */
+  Camera.update = function (camera) {
+    const render = camera.render,
+      time = Common.now(),
+      delta = camera.timePrev != null ? Math.min(time - camera.timePrev, 100) : 1000 / 60;
+
+    camera.timePrev = time;
+
+    if(camera.zooming) {
+      _updateZoom(camera, delta);
+    }
+
+    const width = render.canvas.width / camera.zoom,
+      height = render.canvas.height / camera.zoom;
+
+    if(camera.target) {
+      _updatePosition(camera, delta);
+    }
+
+    if(camera.bounds) {
+      camera.position.x = _clamp(camera.position.x, camera.bounds.min.x, camera.bounds.max.x, width);
+      camera.position.y = _clamp(camera.position.y, camera.bounds.min.y, camera.bounds.max.y, height);
+    }
+
+    let shakeX = 0,
+      shakeY = 0;
+
+    if(camera.trauma > 0) {
+      // the shake is proportional to the square of the trauma, and stays the same whatever the zoom
+      const offset = camera.shakeOffset * camera.trauma * camera.trauma / camera.zoom;
+      shakeX = Common.random(-offset, offset);
+      shakeY = Common.random(-offset, offset);
+      camera.trauma = Math.max(0, camera.trauma - camera.shakeDecay * delta / 1000);
+    }
+
+    const bounds = render.bounds;
+    bounds.min.x = camera.position.x - width / 2 + shakeX;
+    bounds.min.y = camera.position.y - height / 2 + shakeY;
+    bounds.max.x = bounds.min.x + width;
+    bounds.max.y = bounds.min.y + height;
+
+    render.options.hasBounds = true;
+    Render.updateMouse(render);
+  };
+
+  /**
+  * Stops updating the viewport of the renderer.
+  * @method remove
+  * @param {camera} camera
+  */
+  Camera.remove = function (camera) {
+    Events.off(camera.render, 'beforeRender', camera.update);
+  };
+
+  /**
+  * Animates the zoom with an ease in and out.
+  * @method updateZoom
+  * @private
+  * @param {camera} camera
+  * @param {number} delta
+  */
+  function _updateZoom(camera, delta) {
+    const zooming = camera.zooming;
+
+    zooming.elapsed += delta;
+
+    const t = Math.min(1, zooming.elapsed / zooming.duration),
+      ease = t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+
+    camera.zoom = zooming.from + (zooming.to - zooming.from) * ease;
+    if(t >= 1) {
+      camera.zooming = null;
+    }
+  }
+
+  /**
+  * Moves the camera towards its target, ahead of its velocity, once it leaves the deadzone.
+  * @method updatePosition
+  * @private
+  * @param {camera} camera
+  * @param {number} delta
+  */
+  function _updatePosition(camera, delta) {
+    const {target, position, deadzone, lookAhead} = camera,
+      velocity = target.velocity || {x: 0, y: 0},
+      focus = {
+        x: target.position.x + velocity.x * lookAhead,
+        y: target.position.y + velocity.y * lookAhead,
+      },
+      goal = {x: focus.x, y: focus.y};
+
+    if(deadzone) {
+      // the deadzone is sized in pixels of the layer, around the center of the view
+      const halfWidth = deadzone.width / 2 / camera.zoom,
+        halfHeight = deadzone.height / 2 / camera.zoom;
+
+      goal.x = Math.min(Math.max(position.x, focus.x - halfWidth), focus.x + halfWidth);
+      goal.y = Math.min(Math.max(position.y, focus.y - halfHeight), focus.y + halfHeight);
+    }
+
+    // the same smoothing whatever the frame rate
+    const lerp = 1 - (1 - Common.clamp(camera.lerp, 0, 1)) ** (delta * 60 / 1000);
+
+    position.x += (goal.x - position.x) * lerp;
+    position.y += (goal.y - position.y) * lerp;
+  }
+
+  /**
+  * Clamps the center of the view so that the view stays within the range, or centers it if the range is smaller.
+  * @method clamp
+  * @private
+  * @param {number} center
+  * @param {number} min
+  * @param {number} max
+  * @param {number} size The size of the view
+  * @return {number} center
+  */
+  function _clamp(center, min, max, size) {
+    if(max - min <= size) {
+      return (min + max) / 2;
+    }
+    return Common.clamp(center, min + size / 2, max - size / 2);
+  }
+
+  /*
+  *
+  *  Properties Documentation
+  *
+  */
+
+  /**
+  * The target followed by the camera, if any.
+  *
+  * @property target
+  * @type body
+  * @default null
+  */
+
+  /**
+  * The center of the view, in world coordinates.
+  *
+  * @property position
+  * @type vector
+  */
+
+  /**
+  * The number of pixels of the layer per unit of the world.
+  *
+  * @property zoom
+  * @type number
+  * @default 1
+  */
+
+  /**
+  * How much of the way to its target the camera moves each frame (at 60 fps), between 0 and 1.
+  * 1 snaps to the target.
+  *
+  * @property lerp
+  * @type number
+  * @default 1
+  */
+
+  /**
+  * A rectangle `{width, height}` in pixels of the layer, around the center of the view,
+  * in which the target moves without moving the camera.
+  *
+  * @property deadzone
+  * @type object
+  * @default null
+  */
+
+  /**
+  * How many steps of its velocity the camera looks ahead of its target.
+  *
+  * @property lookAhead
+  * @type number
+  * @default 0
+  */
+
+  /**
+  * The bounds of the world the view is kept within, if any.
+  *
+  * @property bounds
+  * @type bounds
+  * @default null
+  */
+
+  /**
+  * The maximum offset of the shake, in pixels of the layer.
+  *
+  * @property shakeOffset
+  * @type number
+  * @default 20
+  */
+
+  /**
+  * How much of the shake decays per second.
+  *
+  * @property shakeDecay
+  * @type number
+  * @default 1.5
+  */
+
+  Matter.Camera = Camera;
+
+  return {Matter};
+}
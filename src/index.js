@@ -1,4 +1,12 @@
 import Matter from './matter';
+import Bodies from './bodies';
+import Overlays from './overlays';
+import PhysicsBody from './physics-body';
+import Mouse from './mouse';
+import Runner from './runner';
+import Attach from './attach';
+import Camera from './camera';
+import Inspector from './inspector';
 
 // auto use
 if(typeof window !== 'undefined' && window.spritejs) {
@@ -8,6 +16,14 @@ if(typeof window !== 'undefined' && window.spritejs) {
 export function install({use}) {
   return [
     Matter,
+    Bodies,
+    Overlays,
+    PhysicsBody,
+    Mouse,
+    Runner,
+    Attach,
+    Camera,
+    Inspector,
   ].reduce((pkg, Node) => {
     return Object.assign(pkg, use(Node));
   }, {});
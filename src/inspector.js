@@ -0,0 +1,797 @@
+export default function install({Group, Label}) {
+  const Matter = require('matter-js');
+  const {Common, Body, Bounds, Composite, Constraint, Events, Query, Render, Sleeping, Vector} = Matter;
+
+  const Inspector = {};
+
+  const _layerEvents = ['mousedown', 'mousemove', 'mouseup', 'mouseleave'];
+
+  // the physical properties edited in the panel, with the step of their buttons
+  const _properties = {
+    body: [
+      ['mass', 0.5],
+      ['density', 0.0005],
+      ['friction', 0.05],
+      ['frictionAir', 0.005],
+      ['restitution', 0.1],
+    ],
+    constraint: [
+      ['length', 5],
+      ['stiffness', 0.05],
+      ['damping', 0.05],
+    ],
+  };
+
+  /**
+  * Creates an inspector for the world of a renderer: bodies and constraints are selected by clicking them
+  * (with shift to add to the selection) or by dragging a box around them, then dragged, or rotated with alt.
+  * The selection is drawn on the overlay layer by `Render.inspector`, and edited in a panel of spritejs nodes on the layer
+  * of the renderer: physical properties, static and sleeping states, duplication and deletion.
+  * While the inspector is enabled, the mouse constraint given in the options doesn't drag bodies.
+  *
+  *   const inspector = Inspector.create(render, {mouseConstraint});
+  *
+  * @method create
+  * @param {render} render
+  * @param {object} [options]
+  * @return {inspector} A new inspector
+  */
+  Inspector.create = function (render, options) {
+    const defaults = {
+      render,
+      engine: render.engine,
+      world: render.engine.world,
+      mouseConstraint: null,
+      selected: [],
+      selectStart: null,
+      selectEnd: null,
+      selectBounds: Bounds.create([{x: 0, y: 0}, {x: 0, y: 0}]),
+      mode: null,
+      mousePosition: null,
+      offset: {x: 20, y: 20},
+      panelPosition: [10, 10],
+      panel: null,
+      enabled: false,
+    };
+
+    // references to the world are assigned as they are, Common.extend would clone them
+    // (and overflow on the circular `parent` of the body being dragged by the mouse constraint)
+    const settings = Object.assign({}, options);
+    ['render', 'engine', 'world', 'mouseConstraint'].forEach(key => delete settings[key]);
+
+    const inspector = Common.extend(defaults, settings);
+
+    inspector.render = render;
+    inspector.engine = render.engine;
+    inspector.world = render.engine.world;
+    inspector.mouseConstraint = options && options.mouseConstraint || null;
+    inspector.panel = new Group();
+    inspector.panel.attr({
+      pos: inspector.panelPosition,
+      bgcolor: 'rgba(0,0,0,0.7)',
+      padding: [6, 8, 6, 8],
+      zIndex: 1000,
+    });
+
+    _layerEvents.forEach((type) => {
+      inspector[type] = evt => _handleEvent(inspector, type, evt);
+    });
+
+    inspector.enabled = false;
+    Inspector.setEnabled(inspector, !options || options.enabled !== false);
+
+    return inspector;
+  };
+
+  /**
+  * Enables or disables an inspector. Disabling it clears the selection and removes the panel.
+  * @method setEnabled
+  * @param {inspector} inspector
+  * @param {boolean} enabled
+  */
+  Inspector.setEnabled = function (inspector, enabled) {
+    const {render, panel, mouseConstraint} = inspector,
+      layer = render.layer;
+
+    enabled = !!enabled;
+    if(inspector.enabled === enabled) return;
+    inspector.enabled = enabled;
+
+    if(enabled) {
+      _layerEvents.forEach(type => layer.on(type, inspector[type]));
+      render.inspector = inspector;
+      layer.appendChild(panel);
+
+      if(mouseConstraint) {
+        inspector.mouseMask = mouseConstraint.collisionFilter.mask;
+        mouseConstraint.collisionFilter.mask = 0;
+      }
+    } else {
+      _layerEvents.forEach(type => layer.off(type, inspector[type]));
+      if(render.inspector === inspector) render.inspector = null;
+      Inspector.select(inspector, []);
+      inspector.mode = null;
+      inspector.selectStart = null;
+      layer.removeChild(panel);
+
+      if(mouseConstraint) {
+        mouseConstraint.collisionFilter.mask = inspector.mouseMask;
+      }
+    }
+
+    _updatePanel(inspector);
+  };
+
+  /**
+  * Disables an inspector for good.
+  * @method destroy
+  * @param {inspector} inspector
+  */
+  Inspector.destroy = function (inspector) {
+    Inspector.setEnabled(inspector, false);
+  };
+
+  /**
+  * Selects bodies and constraints.
+  * @method select
+  * @param {inspector} inspector
+  * @param {Array} items The bodies and constraints to select
+  * @param {boolean} [add=false] Whether to add them to the current selection instead of replacing it
+  */
+  Inspector.select = function (inspector, items, add = false) {
+    const selected = add ? inspector.selected.slice(0) : [];
+
+    for(let i = 0; i < items.length; i++) {
+      if(!_isSelected({selected}, items[i])) {
+        selected.push({data: items[i]});
+      }
+    }
+
+    inspector.selected = selected;
+    _updatePanel(inspector);
+
+    Events.trigger(inspector, 'select', {selected: selected.map(item => item.data)});
+  };
+
+  /**
+  * Moves the selection, i.e. the selected bodies and the anchors of the selected constraints in the world.
+  * @method translate
+  * @param {inspector} inspector
+  * @param {vector} translation
+  */
+  Inspector.translate = function (inspector, translation) {
+    _eachSelected(inspector, (body) => {
+      Body.translate(body, translation);
+      _stop(body);
+    }, (constraint) => {
+      if(!constraint.bodyA) constraint.pointA = Vector.add(constraint.pointA, translation);
+      if(!constraint.bodyB) constraint.pointB = Vector.add(constraint.pointB, translation);
+    });
+  };
+
+  /**
+  * Rotates the selection around a point.
+  * @method rotate
+  * @param {inspector} inspector
+  * @param {number} rotation In radians
+  * @param {vector} [point] The center of the selection by default
+  */
+  Inspector.rotate = function (inspector, rotation, point) {
+    point = point || _selectionCenter(inspector);
+
+    const rotateAround = vector => Vector.add(point, Vector.rotate(Vector.sub(vector, point), rotation));
+
+    _eachSelected(inspector, (body) => {
+      Body.setAngle(body, body.angle + rotation);
+      Body.setPosition(body, rotateAround(body.position));
+      _stop(body);
+    }, (constraint) => {
+      if(!constraint.bodyA) constraint.pointA = rotateAround(constraint.pointA);
+      if(!constraint.bodyB) constraint.pointB = rotateAround(constraint.pointB);
+    });
+  };
+
+  /**
+  * Sets a physical property (see `Inspector.properties`) of the selected bodies or constraints that have it.
+  * @method set
+  * @param {inspector} inspector
+  * @param {string} property
+  * @param {number} value
+  */
+  Inspector.set = function (inspector, property, value) {
+    _eachSelected(inspector, (body) => {
+      if(body.isStatic) return;
+      if(property === 'mass') {
+        Body.setMass(body, Math.max(0.01, value));
+      } else if(property === 'density') {
+        Body.setDensity(body, Math.max(0.0001, value));
+      } else if(property in body) {
+        body[property] = Common.clamp(value, 0, 1);
+      }
+    }, (constraint) => {
+      if(property === 'length') {
+        constraint.length = Math.max(0, value);
+      } else if(property in constraint) {
+        constraint[property] = Common.clamp(value, 0, 1);
+      }
+    });
+
+    _updatePanel(inspector);
+    Events.trigger(inspector, 'change', {property, value});
+  };
+
+  /**
+  * Makes the selected bodies static or not.
+  * @method setStatic
+  * @param {inspector} inspector
+  * @param {boolean} [isStatic] Toggles the first selected body by default
+  */
+  Inspector.setStatic = function (inspector, isStatic) {
+    if(isStatic == null) {
+      const body = _firstSelected(inspector, 'body');
+      isStatic = !(body && body.isStatic);
+    }
+
+    _eachSelected(inspector, (body) => {
+      if(body.isStatic !== isStatic) Body.setStatic(body, isStatic);
+    });
+
+    _updatePanel(inspector);
+    Events.trigger(inspector, 'change', {property: 'isStatic', value: isStatic});
+  };
+
+  /**
+  * Puts the selected bodies to sleep or wakes them up.
+  * @method setSleeping
+  * @param {inspector} inspector
+  * @param {boolean} [isSleeping] Toggles the first selected body by default
+  */
+  Inspector.setSleeping = function (inspector, isSleeping) {
+    if(isSleeping == null) {
+      const body = _firstSelected(inspector, 'body');
+      isSleeping = !(body && body.isSleeping);
+    }
+
+    _eachSelected(inspector, (body) => {
+      Sleeping.set(body, isSleeping);
+    });
+
+    _updatePanel(inspector);
+    Events.trigger(inspector, 'change', {property: 'isSleeping', value: isSleeping});
+  };
+
+  /**
+  * Removes the selected bodies and constraints from the world.
+  * @method removeSelected
+  * @param {inspector} inspector
+  */
+  Inspector.removeSelected = function (inspector) {
+    const world = inspector.world;
+
+    inspector.selected.forEach(({data}) => {
+      Composite.remove(world, data, true);
+    });
+
+    Inspector.select(inspector, []);
+  };
+
+  /**
+  * Adds copies of the selected bodies and constraints to the world, offset by `inspector.offset`, and selects them.
+  * Constraints between copied bodies are attached to the copies. The nodes bound to bodies are not copied,
+  * so the copies are drawn by the renderer.
+  * @method duplicateSelected
+  * @param {inspector} inspector
+  * @return {Array} The copies
+  */
+  Inspector.duplicateSelected = function (inspector) {
+    const copies = new Map(),
+      offset = inspector.offset,
+      world = inspector.world,
+      items = [];
+
+    _eachSelected(inspector, (body) => {
+      const copy = _copyBody(body);
+      Body.translate(copy, offset);
+      copies.set(body, copy);
+      items.push(copy);
+    });
+
+    _eachSelected(inspector, null, (constraint) => {
+      const bodyA = copies.get(constraint.bodyA) || constraint.bodyA,
+        bodyB = copies.get(constraint.bodyB) || constraint.bodyB;
+
+      items.push(Constraint.create({
+        label: constraint.label,
+        bodyA,
+        bodyB,
+        pointA: bodyA ? Vector.clone(constraint.pointA) : Vector.add(constraint.pointA, offset),
+        pointB: bodyB ? Vector.clone(constraint.pointB) : Vector.add(constraint.pointB, offset),
+        length: constraint.length,
+        stiffness: constraint.stiffness,
+        damping: constraint.damping,
+        angularStiffness: constraint.angularStiffness,
+        render: Common.extend({}, constraint.render),
+      }));
+    });
+
+    Composite.add(world, items);
+    Inspector.select(inspector, items);
+
+    return items;
+  };
+
+  /**
+  * Handles the events of the layer: clicks select, drags move, rotate or select in a box.
+  * Events on the panel are left to it.
+  * @method handleEvent
+  * @private
+  * @param {inspector} inspector
+  * @param {string} type
+  * @param {object} evt
+  */
+  function _handleEvent(inspector, type, evt) {
+    const render = inspector.render,
+      originalEvent = evt.originalEvent || {},
+      layerPoint = {x: evt.layerX, y: evt.layerY},
+      point = Render.viewToWorld(render, layerPoint),
+      last = inspector.mousePosition || point;
+
+    inspector.mousePosition = point;
+
+    if(type === 'mousedown') {
+      if(evt.targetSprites && evt.targetSprites.indexOf(inspector.panel) !== -1) return;
+
+      const item = _itemAt(inspector, layerPoint),
+        add = !!originalEvent.shiftKey;
+
+      if(item) {
+        if(!_isSelected(inspector, item)) {
+          Inspector.select(inspector, [item], add);
+        } else if(add) {
+          Inspector.select(inspector, inspector.selected.filter(({data}) => data !== item).map(({data}) => data));
+          return;
+        }
+        inspector.mode = originalEvent.altKey ? 'rotate' : 'drag';
+      } else {
+        if(!add) Inspector.select(inspector, []);
+        inspector.mode = 'select';
+        inspector.selectStart = point;
+        inspector.selectEnd = point;
+        _updateSelectBounds(inspector);
+      }
+    } else if(type === 'mousemove') {
+      if(inspector.mode === 'drag') {
+        Inspector.translate(inspector, Vector.sub(point, last));
+      } else if(inspector.mode === 'rotate') {
+        const center = _selectionCenter(inspector),
+          from = Vector.sub(last, center),
+          to = Vector.sub(point, center);
+
+        Inspector.rotate(inspector, Math.atan2(to.y, to.x) - Math.atan2(from.y, from.x), center);
+      } else if(inspector.mode === 'select') {
+        inspector.selectEnd = point;
+        _updateSelectBounds(inspector);
+      }
+    } else if(inspector.mode) {
+      if(inspector.mode === 'select') {
+        inspector.selectEnd = point;
+        _updateSelectBounds(inspector);
+        Inspector.select(inspector, _itemsIn(inspector, inspector.selectBounds), !!originalEvent.shiftKey);
+        inspector.selectStart = null;
+      }
+      inspector.mode = null;
+    }
+
+    // the selection is drawn on the overlay with the next frame of the layer
+    inspector.panel.forceUpdate();
+  }
+
+  /**
+  * Returns the body or constraint at a point of the layer, bodies first:
+  * the top-most body as drawn (see `Render.bodyAt`), else a constraint with an end within 10 pixels.
+  * @method itemAt
+  * @private
+  * @param {inspector} inspector
+  * @param {vector} point In the coordinates of the layer
+  * @return {object} The body or constraint, or null
+  */
+  function _itemAt(inspector, point) {
+    const render = inspector.render,
+      body = Render.bodyAt(render, point);
+    if(body) {
+      return body;
+    }
+
+    const constraints = _constraints(inspector),
+      near = end => Vector.magnitude(Vector.sub(point, Render.worldToView(render, end))) <= 10;
+
+    for(let i = constraints.length - 1; i >= 0; i--) {
+      const [start, end] = _constraintPoints(constraints[i]);
+      if(near(start) || near(end)) {
+        return constraints[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+  * Returns the bodies overlapping a region of the world, and the constraints with an end inside it.
+  * @method itemsIn
+  * @private
+  * @param {inspector} inspector
+  * @param {bounds} bounds
+  * @return {Array} items
+  */
+  function _itemsIn(inspector, bounds) {
+    const bodies = Query.region(Composite.allBodies(inspector.world), bounds),
+      constraints = _constraints(inspector).filter((constraint) => {
+        const [start, end] = _constraintPoints(constraint);
+        return Bounds.contains(bounds, start) || Bounds.contains(bounds, end);
+      });
+
+    return bodies.concat(constraints);
+  }
+
+  /**
+  * Returns the constraints of the world that can be inspected, leaving out the ones following the pointers.
+  * @method constraints
+  * @private
+  * @param {inspector} inspector
+  * @return {constraint[]} constraints
+  */
+  function _constraints(inspector) {
+    return Composite.allConstraints(inspector.world).filter(({label}) => {
+      return label !== 'Mouse Constraint' && label !== 'Touch Constraint';
+    });
+  }
+
+  /**
+  * Returns the ends of a constraint in the world.
+  * @method constraintPoints
+  * @private
+  * @param {constraint} constraint
+  * @return {vector[]} The start and the end
+  */
+  function _constraintPoints(constraint) {
+    const {bodyA, bodyB, pointA, pointB} = constraint;
+    return [
+      bodyA ? Vector.add(bodyA.position, pointA) : pointA,
+      bodyB ? Vector.add(bodyB.position, pointB) : pointB,
+    ];
+  }
+
+  /**
+  * Updates the bounds of the selection box from its start and end.
+  * @method updateSelectBounds
+  * @private
+  * @param {inspector} inspector
+  */
+  function _updateSelectBounds(inspector) {
+    const {selectStart, selectEnd, selectBounds} = inspector;
+
+    selectBounds.min.x = Math.min(selectStart.x, selectEnd.x);
+    selectBounds.min.y = Math.min(selectStart.y, selectEnd.y);
+    selectBounds.max.x = Math.max(selectStart.x, selectEnd.x);
+    selectBounds.max.y = Math.max(selectStart.y, selectEnd.y);
+  }
+
+  /**
+  * Returns whether a body or constraint is selected.
+  * @method isSelected
+  * @private
+  * @param {inspector} inspector
+  * @param {object} item
+  * @return {boolean}
+  */
+  function _isSelected(inspector, item) {
+    return inspector.selected.some(({data}) => data === item);
+  }
+
+  /**
+  * Returns the first selected item of a type.
+  * @method firstSelected
+  * @private
+  * @param {inspector} inspector
+  * @param {string} type body or constraint
+  * @return {object} The item, or null
+  */
+  function _firstSelected(inspector, type) {
+    const item = inspector.selected.find(({data}) => data.type === type);
+    return item ? item.data : null;
+  }
+
+  /**
+  * Calls a function for each selected body, and another one for each selected constraint.
+  * @method eachSelected
+  * @private
+  * @param {inspector} inspector
+  * @param {function} [forBody]
+  * @param {function} [forConstraint]
+  */
+  function _eachSelected(inspector, forBody, forConstraint) {
+    const selected = inspector.selected;
+
+    for(let i = 0; i < selected.length; i++) {
+      const item = selected[i].data;
+      if(item.type === 'body' && forBody) {
+        forBody(item);
+      } else if(item.type === 'constraint' && forConstraint) {
+        forConstraint(item);
+      }
+    }
+  }
+
+  /**
+  * Returns the center of the selected bodies and constraints.
+  * @method selectionCenter
+  * @private
+  * @param {inspector} inspector
+  * @return {vector} center
+  */
+  function _selectionCenter(inspector) {
+    const points = [];
+
+    _eachSelected(inspector, (body) => {
+      points.push(body.position);
+    }, (constraint) => {
+      const [start, end] = _constraintPoints(constraint);
+      points.push(Vector.div(Vector.add(start, end), 2));
+    });
+
+    if(!points.length) {
+      return {x: 0, y: 0};
+    }
+
+    return Vector.div(points.reduce((sum, point) => Vector.add(sum, point), {x: 0, y: 0}), points.length);
+  }
+
+  /**
+  * Stops a body moved by the inspector and wakes it up.
+  * @method stop
+  * @private
+  * @param {body} body
+  */
+  function _stop(body) {
+    Sleeping.set(body, false);
+    Body.setVelocity(body, {x: 0, y: 0});
+    Body.setAngularVelocity(body, 0);
+  }
+
+  /**
+  * Creates a copy of a body, compound or not, where it is.
+  * @method copyBody
+  * @private
+  * @param {body} body
+  * @return {body} copy
+  */
+  function _copyBody(body) {
+    const copyPart = (part) => {
+      // the vertices are rotated already, the angle is set afterwards
+      const copy = Body.create({
+        label: part.label,
+        position: Vector.clone(part.position),
+        vertices: part.vertices.map(({x, y}) => ({x, y})),
+        circleRadius: part.circleRadius,
+        isStatic: part.isStatic,
+        isSensor: part.isSensor,
+        density: part.density,
+        friction: part.friction,
+        frictionStatic: part.frictionStatic,
+        frictionAir: part.frictionAir,
+        restitution: part.restitution,
+        slop: part.slop,
+        collisionFilter: Common.extend({}, part.collisionFilter),
+        render: Common.extend({}, part.render),
+      });
+      copy.angle = part.angle;
+      copy.anglePrev = part.angle;
+      return copy;
+    };
+
+    let copy;
+    if(body.parts.length > 1) {
+      copy = Body.create({
+        label: body.label,
+        parts: body.parts.slice(1).map(copyPart),
+        isStatic: body.isStatic,
+        render: Common.extend({}, body.render),
+      });
+      copy.angle = body.angle;
+      copy.anglePrev = body.angle;
+    } else {
+      copy = copyPart(body);
+    }
+
+    if(!body.isStatic) Body.setMass(copy, body.mass);
+
+    return copy;
+  }
+
+  /**
+  * Creates a button of the panel.
+  * @method button
+  * @private
+  * @param {string} text
+  * @param {number[]} pos
+  * @param {function} onClick
+  * @return {Label} button
+  */
+  function _button(text, pos, onClick) {
+    const button = new Label(text);
+    button.attr({
+      pos,
+      font: '12px Arial',
+      fillColor: '#ffa500',
+      padding: [0, 3, 0, 3],
+    });
+    button.on('click', (evt) => {
+      if(evt.stopDispatch) evt.stopDispatch();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+  * Creates a line of text of the panel.
+  * @method text
+  * @private
+  * @param {string} text
+  * @param {number[]} pos
+  * @return {Label} label
+  */
+  function _text(text, pos) {
+    const label = new Label(text);
+    label.attr({
+      pos,
+      font: '12px Arial',
+      fillColor: '#fff',
+    });
+    return label;
+  }
+
+  /**
+  * Rebuilds the panel from the selection: the properties of the first selected item and the actions.
+  * @method updatePanel
+  * @private
+  * @param {inspector} inspector
+  */
+  function _updatePanel(inspector) {
+    const panel = inspector.panel,
+      selected = inspector.selected,
+      lineHeight = 18,
+      format = value => String(Math.round(value * 10000) / 10000);
+
+    panel.remove();
+    if(!inspector.enabled) return;
+
+    const item = selected.length ? selected[0].data : null;
+
+    if(!item) {
+      panel.append(_text('Nothing selected', [0, 0]));
+      return;
+    }
+
+    let y = 0;
+    const more = selected.length > 1 ? ` (+${selected.length - 1})` : '';
+    panel.append(_text(`${item.label} #${item.id}${more}`, [0, y]));
+    y += lineHeight;
+
+    const properties = _properties[item.type] || [];
+    properties.forEach(([property, step]) => {
+      const value = item[property];
+      panel.append(
+        _text(`${property}: ${format(value)}`, [0, y]),
+        _button('-', [150, y], () => Inspector.set(inspector, property, value - step)),
+        _button('+', [170, y], () => Inspector.set(inspector, property, value + step))
+      );
+      y += lineHeight;
+    });
+
+    if(item.type === 'body') {
+      panel.append(
+        _button(`static: ${item.isStatic ? 'on' : 'off'}`, [0, y], () => Inspector.setStatic(inspector)),
+        _button(`sleeping: ${item.isSleeping ? 'on' : 'off'}`, [80, y], () => Inspector.setSleeping(inspector))
+      );
+      y += lineHeight;
+    }
+
+    panel.append(
+      _button('duplicate', [0, y], () => Inspector.duplicateSelected(inspector)),
+      _button('delete', [60, y], () => Inspector.removeSelected(inspector)),
+      _button('↺', [110, y], () => Inspector.rotate(inspector, -Math.PI / 12)),
+      _button('↻', [130, y], () => Inspector.rotate(inspector, Math.PI / 12))
+    );
+  }
+
+  /**
+  * The physical properties edited in the panel, by type of item, with the step of their buttons.
+  *
+  * @property properties
+  * @type object
+  */
+  Inspector.properties = _properties;
+
+  /*
+  *
+  *  Events Documentation
+  *
+  */
+
+  /**
+  * Fired when the selection changes
+  *
+  * @event select
+  * @param {} event An event object
+  * @param {Array} event.selected The selected bodies and constraints
+  * @param {} event.source The source object of the event
+  * @param {} event.name The name of the event
+  */
+
+  /**
+  * Fired when a property of the selection is edited
+  *
+  * @event change
+  * @param {} event An event object
+  * @param {string} event.property The name of the property
+  * @param {} event.value The new value
+  * @param {} event.source The source object of the event
+  * @param {} event.name The name of the event
+  */
+
+  /*
+  *
+  *  Properties Documentation
+  *
+  */
+
+  /**
+  * The selected bodies and constraints, as `{data}` objects as drawn by `Render.inspector`.
+  *
+  * @property selected
+  * @type Array
+  */
+
+  /**
+  * The mouse constraint disabled while the inspector is enabled, if any.
+  *
+  * @property mouseConstraint
+  * @type MouseConstraint
+  * @default null
+  */
+
+  /**
+  * The offset of the copies made by `Inspector.duplicateSelected`, in the world.
+  *
+  * @property offset
+  * @type vector
+  * @default {x: 20, y: 20}
+  */
+
+  /**
+  * The panel editing the selection, a spritejs Group on the layer of the renderer.
+  *
+  * @property panel
+  * @type Group
+  */
+
+  /**
+  * The position of the panel on the layer.
+  *
+  * @property panelPosition
+  * @type number[]
+  * @default [10, 10]
+  */
+
+  /**
+  * Whether the inspector handles the events of the layer and shows its panel (see `Inspector.setEnabled`).
+  *
+  * @property enabled
+  * @type boolean
+  * @default true
+  */
+
+  Matter.Inspector = Inspector;
+
+  return {Matter};
+}
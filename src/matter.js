@@ -1,8 +1,54 @@
-export default function install({use, Sprite, Path, utils, registerNodeType}) {
+import {circlePath} from './paths';
+
+export default function install({use, Sprite, Path, Group, Label, utils, registerNodeType}) {
   const Render = {};
 
   const Matter = require('matter-js');
-  const {Common, Composite, Bounds, Events, Grid, Vector, Mouse} = Matter;
+  const {Common, Composite, Body, Bodies, Bounds, Engine, Events, Vector, Mouse, Query, Runner, Sleeping, World} = Matter;
+
+  const _layerRenders = new WeakMap();
+
+  // the renderers by the context of their canvas, for the drawing functions called with the matter-js arguments
+  const _contextRenders = new WeakMap();
+
+  let _spriteNodeWarned = false;
+
+  /**
+  * The group holding the nodes of a renderer on a layer (see `Render.rootOf`), transformed by the viewport
+  * so that its children are posed in world coordinates. Its children can lie anywhere in the world,
+  * so they are neither culled by the box of the group nor cached in it, and pointer events are passed down to them.
+  * Its box is the whole layer, which is cleared when the group is redrawn.
+  */
+  class ViewportGroup extends Group {
+    get cachePriority() {
+      return 0;
+    }
+
+    get renderBox() {
+      const canvas = this.layer && this.layer.canvas;
+      return canvas ? [0, 0, canvas.width, canvas.height] : [0, 0, 0, 0];
+    }
+
+    isVisible() {
+      return this.attr('opacity') > 0;
+    }
+
+    isNodeVisible(node) {
+      return node.isVisible();
+    }
+
+    pointCollision(evt) {
+      if(!this.isVisible()) {
+        return false;
+      }
+      const [offsetX, offsetY] = evt.parentX != null
+        ? this.pointToOffset(evt.parentX, evt.parentY) : this.pointToOffset(evt.layerX, evt.layerY);
+
+      evt.offsetX = offsetX;
+      evt.offsetY = offsetY;
+      return true;
+    }
+  }
 
   let _requestAnimationFrame,
     _cancelAnimationFrame;
@@ -28,7 +74,10 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
     const defaults = {
       controller: Render,
       engine: null,
+      runner: null,
       layer: null,
+      overlay: null,
+      categoryLayers: null,
       mouse: null,
       frameRequestId: null,
       options: {
@@ -53,6 +102,9 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
         showConvexHulls: false,
         showInternalEdges: false,
         showMousePosition: false,
+        interpolate: false,
+        light: null,
+        theme: 'dark',
       },
     };
 
@@ -60,9 +112,28 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
 
     render.mouse = options.mouse;
     render.engine = options.engine;
+    render.runner = options.runner || null;
+    render.timeline = null;
+    render.overlay = options.overlay || null;
+    render.categoryLayers = options.categoryLayers || {};
+    render.roots = new Map();
+    render.overlays = new Map();
+    render.inspector = null;
     render.canvas = options.layer.canvas;
     render.context = render.canvas.getContext('2d');
     render.textures = {};
+    render.spriteNodes = new Map();
+    render.spriteParts = new Map();
+    render.bindings = new Map();
+    render.inView = new Set();
+    render.transforms = new Map();
+    render.shadowed = new Set();
+    render.shadowHandler = evt => _castShadow(render, evt);
+
+    // the renderer draws in the layer, in the resolution of the layer
+    render.options.width = render.canvas.width;
+    render.options.height = render.canvas.height;
+    render.options.pixelRatio = 1;
 
     render.bounds = render.bounds || {
       min: {
@@ -74,23 +145,94 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
         y: render.canvas.height,
       },
     };
+
+    _layerRenders.set(render.layer, render);
+    _contextRenders.set(render.context, render);
+
+    // forward the collisions of the engine to the nodes of the bodies
+    render.collisionHandler = event => _dispatchCollisions(render, event);
+    Events.on(render.engine, 'collisionStart collisionActive collisionEnd', render.collisionHandler);
+
+    // keep the transforms of the bodies before each step to interpolate them
+    render.updateHandler = () => _saveTransforms(render);
+    Events.on(render.engine, 'beforeUpdate', render.updateHandler);
+
+    // nodes appended before the physics world was attached to the layer, e.g. physicsbody nodes
+    render.layer.children.forEach((node) => {
+      if(typeof node.connectRender === 'function') node.connectRender(render);
+    });
+
     return render;
   };
 
+  /**
+  * Returns the renderer attached to a layer, if any.
+  * @method renderOf
+  * @param {Layer} layer
+  * @return {render} The renderer created for the layer
+  */
+  Render.renderOf = function (layer) {
+    return _layerRenders.get(layer) || null;
+  };
+
   /**
   * Continuously updates the render canvas on the `requestAnimationFrame` event.
+  * With the `timeline` option, the engine is stepped by the time elapsed on a spritejs timeline,
+  * so that pausing it or changing its `playbackRate` pauses or slows down the physics with the animations of the layer.
+  * The engine is then stepped and drawn on the `update` event of the layer, in the frames the layer draws,
+  * instead of a loop of its own, and the layer is kept redrawing every frame while the renderer runs.
+  *
+  *   Render.run(render, {timeline: true});
+  *   layer.timeline.playbackRate = 0.2; // slow motion
+  *
   * @method run
   * @param {render} render
+  * @param {object} [options]
+  * @param {boolean|Timeline} [options.timeline=false] The timeline stepping the engine, `true` for the one of the layer
   */
-  Render.run = function (render) {
+  Render.run = function (render, options = {}) {
+    const timeline = options.timeline === true ? render.layer.timeline : options.timeline;
+
+    render.timeline = timeline || null;
+    render.timelineTime = null;
+    render.timelineDelta = null;
+
+    if(render.timeline) {
+      // simulation and drawing share the frames of the layer
+      render.tickHandler = () => {
+        _tickTimeline(render);
+        Render.world(render);
+        // once this frame is drawn, the next one is drawn even if nothing moved, so that it steps the engine again:
+        // the updates made while the layer draws don't request a frame by themselves
+        render.layer.prepareRender().then(() => {
+          if(render.tickHandler) {
+            render.layer.update(Render.rootOf(render));
+            render.layer.prepareRender();
+          }
+        });
+      };
+      render.layer.on('update', render.tickHandler);
+      render.tickHandler();
+      return;
+    }
+
     (function loop(time) {
       render.frameRequestId = _requestAnimationFrame(loop);
+      if(render.runner && render.runner.enabled && time != null) {
+        // step the engine in the same frame, right before drawing it
+        if(render.runner.isFixedStep) {
+          Runner.tickFixed(render.runner, render.engine, time);
+        } else {
+          Runner.tick(render.runner, render.engine, time);
+        }
+      }
       Render.world(render);
     }());
   };
 
   /**
-  * Ends execution of `Render.run` on the given `render`, by canceling the animation frame request event loop.
+  * Ends execution of `Render.run` on the given `render`, by canceling the animation frame request event loop,
+  * or by no longer stepping the engine on the updates of the layer.
   * @method stop
   * @param {render} render
   */
@@ -99,9 +241,98 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
       render.layer.off(render.extraDraw);
       delete render.extraDraw;
     }
+    if(render.tickHandler) {
+      render.layer.off('update', render.tickHandler);
+      delete render.tickHandler;
+    }
     _cancelAnimationFrame(render.frameRequestId);
   };
 
+  /**
+  * Stops the renderer and removes everything it added to its layer: the nodes of bodies and constraints,
+  * the bindings of existing nodes, which are left where they are, and the bodies of physicsbody nodes.
+  * The layer can be given a new renderer afterwards.
+  * @method destroy
+  * @param {render} render
+  */
+  Render.destroy = function (render) {
+    Render.stop(render);
+    Events.off(render.engine, 'collisionStart collisionActive collisionEnd', render.collisionHandler);
+    Events.off(render.engine, 'beforeUpdate', render.updateHandler);
+
+    render.layer.children.forEach((node) => {
+      if(typeof node.disconnectRender === 'function') node.disconnectRender();
+    });
+
+    render.bindings.clear();
+    _releaseNodes(render, [], []);
+
+    // roots still holding nodes appended by hand are left to them
+    render.roots.forEach((root) => {
+      if(!root.children.length && root.parent) root.parent.removeChild(root);
+    });
+    render.roots.clear();
+
+    Render.clearOverlays(render);
+
+    if(_layerRenders.get(render.layer) === render) _layerRenders.delete(render.layer);
+    if(_contextRenders.get(render.context) === render) _contextRenders.delete(render.context);
+  };
+
+  /**
+  * Changes options of the renderer while it runs, e.g. from the toggles of a debug panel.
+  * The nodes drawn for the previous values are removed, and rebuilt by the next `Render.world`:
+  * the nodes of the bodies when switching `wireframes`, the wireframes when switching `showInternalEdges`
+  * and the convex hulls when switching `showConvexHulls`. Bound nodes are left as they are.
+  * Triggers the `optionsChange` event when any option has changed.
+  *
+  *   Render.setOptions(render, {wireframes: false, showShadows: true});
+  *
+  * @method setOptions
+  * @param {render} render
+  * @param {object} patch The options to change
+  */
+  Render.setOptions = function (render, patch) {
+    const options = render.options,
+      previous = {};
+
+    Object.keys(patch).forEach((key) => {
+      if(key === 'width' || key === 'height' || key === 'pixelRatio') {
+        Common.warn(`Render.setOptions: options.${key} is read only, resize the layer instead.`);
+      } else if(options[key] !== patch[key]) {
+        previous[key] = options[key];
+        options[key] = patch[key];
+      }
+    });
+
+    const changed = Object.keys(previous);
+    if(!changed.length) {
+      return;
+    }
+
+    const modeChanged = 'wireframes' in previous,
+      edgesChanged = 'showInternalEdges' in previous && options.wireframes,
+      hullsChanged = modeChanged || 'showConvexHulls' in previous,
+      bodies = Composite.allBodies(render.engine.world);
+
+    for(let i = 0; i < bodies.length; i++) {
+      const parts = bodies[i].parts;
+
+      if(modeChanged || edgesChanged) {
+        for(let k = parts.length > 1 ? 1 : 0; k < parts.length; k++) {
+          _releaseNode(render, parts[k]);
+        }
+      }
+
+      // the convex hull is registered as the node of the compound body
+      if(hullsChanged && parts.length > 1) {
+        _releaseNode(render, bodies[i]);
+      }
+    }
+
+    Events.trigger(render, 'optionsChange', {changed, previous});
+  };
+
   /**
   * Positions and sizes the viewport around the given object bounds.
   * Objects must have at least one of the following properties:
@@ -185,6 +416,16 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
     render.bounds.max.y -= padding.y;
 
     // update mouse
+    Render.updateMouse(render);
+  };
+
+  /**
+  * Maps the mouse of the renderer, if any, through the viewport (`render.bounds`),
+  * so that its position is in world coordinates.
+  * @method updateMouse
+  * @param {render} render
+  */
+  Render.updateMouse = function (render) {
     if(render.mouse) {
       Mouse.setScale(render.mouse, {
         x: (render.bounds.max.x - render.bounds.min.x) / render.canvas.width,
@@ -201,13 +442,10 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @param {render} render
   */
   Render.startViewTransform = function (render) {
-    const boundsWidth = render.bounds.max.x - render.bounds.min.x,
-      boundsHeight = render.bounds.max.y - render.bounds.min.y,
-      boundsScaleX = boundsWidth / render.options.width,
-      boundsScaleY = boundsHeight / render.options.height;
+    const {x, y, scaleX, scaleY} = Render.viewport(render);
 
-    render.context.scale(1 / boundsScaleX, 1 / boundsScaleY);
-    render.context.translate(-render.bounds.min.x, -render.bounds.min.y);
+    render.context.scale(scaleX, scaleY);
+    render.context.translate(-x, -y);
   };
 
   /**
@@ -216,7 +454,63 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @param {render} render
   */
   Render.endViewTransform = function (render) {
-    render.context.setTransform(render.options.pixelRatio, 0, 0, render.options.pixelRatio, 0, 0);
+    // the layer context is in the resolution of the layer
+    render.context.setTransform(1, 0, 0, 1, 0, 0);
+  };
+
+  /**
+  * Maps a point of the world to the coordinates of the layer, through the viewport (`render.bounds`)
+  * when `render.options.hasBounds` is set.
+  * @method worldToView
+  * @param {render} render
+  * @param {vector} point
+  * @return {vector} point
+  */
+  Render.worldToView = function (render, point) {
+    const {x, y, scaleX, scaleY} = Render.viewport(render);
+
+    return {
+      x: (point.x - x) * scaleX,
+      y: (point.y - y) * scaleY,
+    };
+  };
+
+  /**
+  * Maps a point of the layer, e.g. from an event, to the coordinates of the world.
+  * @method viewToWorld
+  * @param {render} render
+  * @param {vector} point
+  * @return {vector} point
+  */
+  Render.viewToWorld = function (render, point) {
+    const {x, y, scaleX, scaleY} = Render.viewport(render);
+
+    return {
+      x: point.x / scaleX + x,
+      y: point.y / scaleY + y,
+    };
+  };
+
+  /**
+  * Returns the viewport transform of the renderer: the top left corner of `render.bounds`
+  * and its zoom to the size of the layer, or no transform when `render.options.hasBounds` isn't set.
+  * @method viewport
+  * @param {render} render
+  * @return {object} The `x`, `y`, `scaleX` and `scaleY` of the view
+  */
+  Render.viewport = function (render) {
+    if(!render.options.hasBounds) {
+      return {x: 0, y: 0, scaleX: 1, scaleY: 1};
+    }
+
+    const {min, max} = render.bounds;
+
+    return {
+      x: min.x,
+      y: min.y,
+      scaleX: render.canvas.width / (max.x - min.x),
+      scaleY: render.canvas.height / (max.y - min.y),
+    };
   };
 
   /**
@@ -233,7 +527,8 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
       layer = render.layer,
       allBodies = Composite.allBodies(world),
       allConstraints = Composite.allConstraints(world),
-      background = options.wireframes ? options.wireframeBackground : options.background;
+      theme = Render.theme(render),
+      background = options.wireframes ? theme.background || options.wireframeBackground : options.background;
 
 
     let bodies = [],
@@ -241,6 +536,7 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
 
     const event = {
       timestamp: engine.timing.timestamp,
+      alpha: _alpha(render),
     };
 
     Events.trigger(render, 'beforeRender', event);
@@ -274,63 +570,44 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
         }
       }
 
-      // transform the view
-      Render.startViewTransform(render);
-
       // update mouse
-      if(render.mouse) {
-        Mouse.setScale(render.mouse, {
-          x: (render.bounds.max.x - render.bounds.min.x) / render.canvas.width,
-          y: (render.bounds.max.y - render.bounds.min.y) / render.canvas.height,
-        });
-
-        Mouse.setOffset(render.mouse, render.bounds.min);
-      }
+      Render.updateMouse(render);
     } else {
       constraints = allConstraints;
       bodies = allBodies;
     }
 
+    // the viewport is applied once, to the root groups of the layers
+    render.roots.forEach(root => _syncRoot(render, root));
+
+    // hide the nodes of what left the view, show the nodes of what entered it
+    _cullNodes(render, bodies, constraints, allBodies, allConstraints);
+
     if(!options.wireframes) {
       // fully featured rendering of bodies
       Render.bodies(render, bodies, context);
-    } else {
+    }
+
+    Render.bodyShadows(render, options.showShadows && !options.wireframes ? bodies : []);
+
+    if(options.wireframes) {
       if(options.showConvexHulls) { Render.bodyConvexHulls(render, bodies, context) }
 
       // optimised method for wireframes only
       Render.bodyWireframes(render, bodies, context);
     }
 
-    if(!render.extraDraw) {
-      const extraDraw = () => {
-        if(options.showBounds) { Render.bodyBounds(render, bodies, context) }
-
-        if(options.showAxes || options.showAngleIndicator) { Render.bodyAxes(render, bodies, context) }
-
-        if(options.showPositions) { Render.bodyPositions(render, bodies, context) }
-
-        if(options.showVelocity) { Render.bodyVelocity(render, bodies, context) }
-
-        if(options.showIds) { Render.bodyIds(render, bodies, context) }
-
-        if(options.showSeparations) { Render.separations(render, engine.pairs.list, context) }
-
-        if(options.showCollisions) { Render.collisions(render, engine.pairs.list, context) }
-
-        if(options.showVertexNumbers) { Render.vertexNumbers(render, bodies, context) }
-
-        if(options.showMousePosition) { Render.mousePosition(render, render.mouse, context) }
+    Render.constraints(render, constraints, context);
 
-        Render.constraints(constraints, context);
+    // release nodes of bodies and constraints that have left the world
+    _releaseNodes(render, allBodies, allConstraints);
 
-        if(options.showBroadphase && engine.broadphase.controller === Grid) { Render.grid(render, engine.broadphase, context) }
+    // debug overlays, retained on the overlay layer
+    Render.debugOverlays(render, bodies);
 
-        if(options.showDebug) { Render.debug(render, context) }
-
-        if(options.hasBounds) {
-          // revert view transforms
-          Render.endViewTransform(render);
-        }
+    if(!render.extraDraw) {
+      // fired once the layer has drawn the frame, to draw on its context
+      const extraDraw = () => {
         layer.off('update', extraDraw);
         delete render.extraDraw;
 
@@ -343,195 +620,184 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   };
 
   /**
-  * Description
+  * Draws each visible constraint with its own retained node, updated every frame:
+  * a line, a zigzag spring or a pin circle, plus the anchors,
+  * styled from `constraint.render` (`strokeStyle`, `lineWidth`, `lineDash`, `opacity` and `sprite.attrs`).
+  * Constraints with a `render.sprite.texture` (e.g. ropes) are drawn as a textured sprite stretched between their points.
+  * The matter-js arguments `(constraints, context)` are still accepted, the renderer is then found by its context.
   * @private
-  * @method debug
+  * @method constraints
   * @param {render} render
+  * @param {constraint[]} constraints
   * @param {RenderingContext} context
   */
-  Render.debug = function (render, context) {
-    const c = context,
-      engine = render.engine,
-      world = engine.world,
-      metrics = engine.metrics,
-      options = render.options,
-      bodies = Composite.allBodies(world),
-      space = '  ';
-
-    if(engine.timing.timestamp - (render.debugTimestamp || 0) >= 500) {
-      let text = '';
-
-      if(metrics.timing) {
-        text += `fps: ${Math.round(metrics.timing.fps)}${space}`;
-      }
-
-      // @if DEBUG
-      if(metrics.extended) {
-        if(metrics.timing) {
-          text += `delta: ${metrics.timing.delta.toFixed(3)}${space}`;
-          text += `correction: ${metrics.timing.correction.toFixed(3)}${space}`;
-        }
-
-        text += `bodies: ${bodies.length}${space}`;
-
-        if(engine.broadphase.controller === Grid) { text += `buckets: ${metrics.buckets}${space}` }
-
-        text += '\n';
-
-        text += `collisions: ${metrics.collisions}${space}`;
-        text += `pairs: ${engine.pairs.list.length}${space}`;
-        text += `broad: ${metrics.broadEff}${space}`;
-        text += `mid: ${metrics.midEff}${space}`;
-        text += `narrow: ${metrics.narrowEff}${space}`;
-      }
-      // @endif
-
-      render.debugString = text;
-      render.debugTimestamp = engine.timing.timestamp;
-    }
-
-    if(render.debugString) {
-      c.font = '12px Arial';
-
-      if(options.wireframes) {
-        c.fillStyle = 'rgba(255,255,255,0.5)';
-      } else {
-        c.fillStyle = 'rgba(0,0,0,0.5)';
-      }
-
-      const split = render.debugString.split('\n');
-
-      for(let i = 0; i < split.length; i++) {
-        c.fillText(split[i], 50, 50 + i * 18);
+  Render.constraints = function (render, constraints, context) {
+    if(Array.isArray(render)) {
+      context = constraints;
+      constraints = render;
+      render = _contextRenders.get(context);
+
+      if(!render) {
+        Common.warn('Render.constraints: no renderer found for the context, call Render.constraints(render, constraints).');
+        return;
       }
     }
-  };
-
-  /**
-  * Description
-  * @private
-  * @method constraints
-  * @param {constraint[]} constraints
-  * @param {RenderingContext} context
-  */
-  Render.constraints = function (constraints, context) {
-    const c = context;
 
     for(let i = 0; i < constraints.length; i++) {
-      const constraint = constraints[i];
+      const constraint = constraints[i],
+        style = constraint.render;
 
-      if(!constraint.render.visible || !constraint.pointA || !constraint.pointB) {
+      let s = render.spriteNodes.get(constraint);
+
+      if(!style.visible || !constraint.pointA || !constraint.pointB) {
+        if(s) {
+          _releaseNode(render, constraint);
+        }
         continue;
       }
       const bodyA = constraint.bodyA,
-        bodyB = constraint.bodyB;
+        bodyB = constraint.bodyB,
+        kind = style.sprite && style.sprite.texture ? 'rope' : style.type;
 
       let start,
         end;
       if(bodyA) {
-        start = Vector.add(bodyA.position, constraint.pointA);
+        start = Vector.add(_bodyTransform(render, bodyA.parent), Vector.sub(bodyA.position, bodyA.parent.position));
+        start = Vector.add(start, constraint.pointA);
       } else {
         start = constraint.pointA;
       }
-
-      if(constraint.render.type === 'pin') {
-        c.beginPath();
-        c.arc(start.x, start.y, 3, 0, 2 * Math.PI);
-        c.closePath();
+      if(bodyB) {
+        end = Vector.add(_bodyTransform(render, bodyB.parent), Vector.sub(bodyB.position, bodyB.parent.position));
+        end = Vector.add(end, constraint.pointB);
       } else {
-        if(bodyB) {
-          end = Vector.add(bodyB.position, constraint.pointB);
+        end = constraint.pointB;
+      }
+
+      if(s && constraint.spriteGeometry.kind !== kind) {
+        _releaseNode(render, constraint);
+        s = null;
+      }
+
+      if(!s) {
+        if(kind === 'rope') {
+          s = new Sprite();
+          s.attr({
+            anchor: [0, 0.5],
+            textures: [style.sprite.texture],
+          });
         } else {
-          end = constraint.pointB;
+          s = new Path();
         }
+        _appendNode(render, constraint, s);
+      }
 
-        c.beginPath();
-        c.moveTo(start.x, start.y);
-
-        if(constraint.render.type === 'spring') {
-          const delta = Vector.sub(end, start),
-            normal = Vector.perp(Vector.normalise(delta)),
-            coils = Math.ceil(Common.clamp(constraint.length / 5, 12, 20));
-          let offset;
-          for(let j = 1; j < coils; j += 1) {
-            offset = j % 2 === 0 ? 1 : -1;
-
-            c.lineTo(
-              start.x + delta.x * (j / coils) + normal.x * offset * 4,
-              start.y + delta.y * (j / coils) + normal.y * offset * 4
-            );
-          }
-        }
+      // the node is drawn in world units from the start point
+      const pos = [start.x, start.y],
+        opacity = style.opacity != null ? style.opacity : 1,
+        delta = Vector.sub(end, start);
 
-        c.lineTo(end.x, end.y);
-      }
+      if(kind === 'rope') {
+        s.attr({
+          pos,
+          rotate: Math.atan2(delta.y, delta.x) * 180 / Math.PI,
+          size: [Vector.magnitude(delta), style.sprite.height || style.lineWidth],
+          opacity,
+        });
+      } else {
+        s.attr({
+          pos,
+          strokeColor: style.lineWidth ? style.strokeStyle : '',
+          lineWidth: style.lineWidth,
+          lineDash: style.lineDash || null,
+          opacity,
+        });
 
-      if(constraint.render.lineWidth) {
-        c.lineWidth = constraint.render.lineWidth;
-        c.strokeStyle = constraint.render.strokeStyle;
-        c.stroke();
+        const d = _constraintPath(constraint, kind, delta, s.pathOffset);
+        if(s.attr('d') !== d) {
+          s.attr('d', d);
+        }
       }
 
-      if(constraint.render.anchors) {
-        c.fillStyle = constraint.render.strokeStyle;
-        c.beginPath();
-        c.arc(start.x, start.y, 3, 0, 2 * Math.PI);
-        c.arc(end.x, end.y, 3, 0, 2 * Math.PI);
-        c.closePath();
-        c.fill();
+      if(style.sprite && style.sprite.attrs) {
+        s.attr(style.sprite.attrs);
       }
+
+      _syncAnchors(render, constraint, kind, pos, delta, opacity);
+
+      constraint.spriteGeometry = {kind};
     }
   };
 
   /**
-  * Description
+  * Casts the drop shadows of the nodes of the bodies, as if lit from `render.options.light`:
+  * the farther a body from the light, the longer and the more blurred its shadow.
+  * Shadows are cast by the nodes themselves while they are drawn, whatever they draw (textures, circles or paths),
+  * and by the groups of compound bodies for all their parts.
+  * A body can override its `color`, `blur` and `offsetX` and `offsetY` (in world units) with `body.render.shadow`,
+  * or cast none with `body.render.shadow = false`. The shadows of bodies left out are removed.
   * @private
   * @method bodyShadows
   * @param {render} render
   * @param {body[]} bodies
-  * @param {RenderingContext} context
   */
-  Render.bodyShadows = function (render, bodies, context) {
-    const c = context;
+  Render.bodyShadows = function (render, bodies) {
+    const light = _lightPosition(render),
+      view = Render.viewport(render),
+      shadowed = new Set();
 
     for(let i = 0; i < bodies.length; i++) {
-      const body = bodies[i];
+      const body = bodies[i],
+        style = body.render.shadow;
 
-      if(!body.render.visible) {
+      if(!body.render.visible || style === false) {
         continue;
-      } if(body.circleRadius) {
-        c.beginPath();
-        c.arc(body.position.x, body.position.y, body.circleRadius, 0, 2 * Math.PI);
-        c.closePath();
-      } else {
-        c.beginPath();
-        c.moveTo(body.vertices[0].x, body.vertices[0].y);
-        for(let j = 1; j < body.vertices.length; j++) {
-          c.lineTo(body.vertices[j].x, body.vertices[j].y);
-        }
-        c.closePath();
       }
 
-      const distanceX = body.position.x - render.options.width * 0.5,
-        distanceY = body.position.y - render.options.height * 0.2,
-        distance = Math.abs(distanceX) + Math.abs(distanceY);
+      const distanceX = body.position.x - light.x,
+        distanceY = body.position.y - light.y,
+        distance = Math.abs(distanceX) + Math.abs(distanceY),
+        options = style || {},
+        shadow = {
+          color: options.color || 'rgba(0,0,0,0.15)',
+          blur: (options.blur != null ? options.blur : 1 + 12 * Math.min(1, distance / 1000)) * view.scaleX,
+          offsetX: (options.offsetX != null ? options.offsetX : 0.05 * distanceX) * view.scaleX,
+          offsetY: (options.offsetY != null ? options.offsetY : 0.05 * distanceY) * view.scaleY,
+        };
 
-      c.shadowColor = 'rgba(0,0,0,0.15)';
-      c.shadowOffsetX = 0.05 * distanceX;
-      c.shadowOffsetY = 0.05 * distanceY;
-      c.shadowBlur = 1 + 12 * Math.min(1, distance / 1000);
+      // the group of a compound body casts the shadows of its children
+      const parts = _groupOf(render, body) ? [body] : body.parts;
 
-      c.fill();
+      for(let k = parts.length > 1 ? 1 : 0; k < parts.length; k++) {
+        const part = parts[k],
+          node = render.spriteNodes.get(part);
 
-      c.shadowColor = null;
-      c.shadowOffsetX = null;
-      c.shadowOffsetY = null;
-      c.shadowBlur = null;
+        if(node) {
+          _setShadow(render, part, node, shadow);
+          shadowed.add(part);
+        }
+      }
     }
+
+    render.shadowed.forEach((part) => {
+      if(!shadowed.has(part)) {
+        _setShadow(render, part, render.spriteNodes.get(part), null);
+      }
+    });
+    render.shadowed = shadowed;
   };
 
   /**
-  * Description
+  * Draws each visible body with retained nodes, updated every frame: a Sprite for a part with a texture,
+  * a Path of its vertices (or a circle) for the others, or the node bound to the body (see `Render.bind`).
+  * A body with `body.render.text` is drawn by a Label centred on the body, with the `content` of the text,
+  * in its `font`, `color` (the `fillStyle` of the body by default) and `align` in the width of the body
+  * (see `Render.addText`).
+  * A compound body is drawn by a Group (see `Render.nodeOf`), posed by the body, holding the nodes of its parts
+  * in the coordinates of the body, or a single path of their merged outline with `body.render.mergeOutline` set.
+  * Nodes of kinematic bodies (with `body.render.kinematic` set) can also be moved by game code,
+  * e.g. with `attr` or `animate`: the body is then moved along with its velocity set from the move,
+  * so that it still pushes the bodies it hits, which makes moving platforms out of static bodies.
   * @private
   * @method bodies
   * @param {render} render
@@ -539,177 +805,423 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @param {RenderingContext} context
   */
   Render.bodies = function (render, bodies, context) {
-    const layer = render.layer,
-      options = render.options;
-
     let body,
       part;
 
     for(let i = 0; i < bodies.length; i++) {
       body = bodies[i];
 
-      if(!body.render.visible) { continue }
+      const binding = render.bindings.get(body);
+      if(binding) {
+        // the bound node replaces the nodes of the body
+        for(let k = 0; k < body.parts.length; k++) {
+          _releaseNode(render, body.parts[k]);
+        }
+        _syncBinding(render, binding);
+        continue;
+      }
+
+      if(body.render.kinematic) {
+        _syncKinematic(render, body);
+      }
+
+      // compound bodies are drawn by a group, with the nodes of their parts inside
+      let group = null;
+      if(body.parts.length > 1) {
+        group = _syncGroup(render, body);
+        if(!group) {
+          continue;
+        }
+        if(body.render.mergeOutline) {
+          _syncOutline(render, body, group);
+          continue;
+        }
+        _releaseOutline(body);
+      }
 
       // handle compound parts
       for(let k = body.parts.length > 1 ? 1 : 0; k < body.parts.length; k++) {
         part = body.parts[k];
-        const {position, angle} = part;
-        const pos = [
-            Math.round(position.x * 10) / 10,
-            Math.round(position.y * 10) / 10,
-          ],
-          rotate = Math.round(180 * angle * 10 / Math.PI) / 10;
-
-        if(!part.render.visible) {
-          continue;
+
+        const kind = _bodyKind(part);
+
+        let s = render.spriteNodes.get(part);
+        if(s && part.spriteGeometry.kind !== kind) {
+          // e.g. a circle scaled unevenly is no longer a circle
+          _releaseNode(render, part);
+          s = null;
         }
 
-        let s = part.spriteNode;
-        if(s) {
-          s.attr({
-            pos,
-            rotate,
-          });
-        } else if(part.render.sprite && (part.render.sprite.texture || part.render.sprite.attrs && part.render.sprite.attrs.textures)) {
-          // part sprite
+        if(!s) {
+          if(!body.render.visible || !part.render.visible) {
+            continue;
+          }
 
-          const sprite = part.render.sprite,
-            texture = sprite.texture;
+          if(kind === 'sprite') {
+            // part sprite
+            const sprite = part.render.sprite,
+              texture = sprite.texture;
 
-          s = new Sprite();
-          s.attr({
-            anchor: [sprite.xOffset, sprite.yOffset],
-            scale: [sprite.xScale, sprite.yScale],
-            pos,
-            rotate,
-          });
-          if(texture) {
+            s = new Sprite();
             s.attr({
-              textures: [texture],
+              anchor: [sprite.xOffset, sprite.yOffset],
             });
+            if(texture) {
+              s.attr({
+                textures: [texture],
+              });
+            }
+          } else if(kind === 'circle') {
+            // part polygon
+            s = new Sprite();
+            s.attr({
+              anchor: 0.5,
+            });
+          } else if(kind === 'text') {
+            // part text
+            s = new Label();
+            s.attr({
+              anchor: 0.5,
+            });
+          } else {
+            s = new Path();
           }
-          part.spriteNode = s;
-          layer.append(s);
-        } else if(part.circleRadius) {
-          // part polygon
-          s = new Sprite();
-          s.attr({
-            anchor: 0.5,
-            size: [2 * part.circleRadius, 2 * part.circleRadius],
-            borderRadius: part.circleRadius,
-            pos,
-            rotate,
-            bgcolor: part.render.fillStyle,
-          });
-          part.spriteNode = s;
-          layer.append(s);
-        } else {
-          const {vertices} = part;
-          const {x: x0, y: y0} = vertices[0];
-
-          let d = `M${x0},${y0}`;
-          for(let j = 1; j < vertices.length; j++) {
-            const x = vertices[j].x,
-              y = vertices[j].y;
-            d += `L${x},${y}`;
-          }
-          d += 'z';
-          s = new Path();
-          s.attr({
-            anchor: 0.5,
-            path: {d, trim: true},
-            pos,
-            rotate,
-            fillColor: part.render.fillStyle,
-          });
-          part.spriteNode = s;
-          layer.append(s);
+          _appendNode(render, part, s, group);
         }
 
-        if(part.render.sprite && part.render.sprite.attrs) {
-          s.attr(part.render.sprite.attrs);
+        _syncStyle(render, body, part, s, kind);
+
+        if(_geometryChanged(part, s)) {
+          _syncGeometry(part, s, kind);
         }
-        if(options.showSleeping && body.isSleeping) {
-          if(!part.fullOpacity) {
-            const opacity = s.attr('opacity');
-            s.attr('opacity', 0.5 * opacity);
-            part.fullOpacity = opacity;
-          }
-        } else if(part.fullOpacity) {
-          s.attr('opacity', part.fullOpacity);
-          delete part.fullOpacity;
+
+        if(group) {
+          _posePart(body, part, s);
+        } else {
+          _syncOrder(render, body, s);
+          _poseNode(render, part, s);
         }
       }
     }
   };
 
   /**
-  * Optimised method for drawing body wireframes in one pass
-  * @private
-  * @method bodyWireframes
+  * Reapplies `body.render` to the nodes of the body (and its parts) immediately,
+  * instead of waiting for the next frame to detect the changes.
+  * @method updateStyle
   * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {body} body
   */
-  Render.bodyWireframes = function (render, bodies, context) {
-    const c = context,
-      layer = render.layer,
-      options = render.options,
-      showInternalEdges = render.options.showInternalEdges;
+  Render.updateStyle = function (render, body) {
+    if(body.spriteOutline) {
+      delete body.spriteStyle;
+      if(body.spriteCulled == null) {
+        _syncStyle(render, body, body, body.spriteOutline, 'path');
+      }
+    }
 
-    let body,
-      part;
+    for(let k = body.parts.length > 1 ? 1 : 0; k < body.parts.length; k++) {
+      const part = body.parts[k],
+        s = render.spriteNodes.get(part);
 
-    c.beginPath();
+      if(s && part.spriteGeometry) {
+        const kind = part.spriteGeometry.kind;
+        if(kind === 'wireframe') {
+          continue;
+        }
+        delete part.spriteStyle;
+        if(part.spriteCulled != null) {
+          // restyled when back in view
+          continue;
+        }
+        _syncStyle(render, body, part, s, kind);
+
+        if(_geometryChanged(part, s)) {
+          _syncGeometry(part, s, kind);
+        }
+      }
+    }
+  };
+
+  /**
+  * Binds an existing spritejs node (e.g. a Sprite, Label or Group laid out by hand) to a body:
+  * the renderer drives the node from the body instead of creating nodes of its own.
+  * By default the node keeps its current position and rotation relative to the body.
+  * A node laid out in its layer is moved and zoomed through the viewport, so a rotated node is skewed
+  * by a view zoomed unevenly; a node appended to `Render.rootOf` is laid out in the world instead.
+  * When `body.render.kinematic` is set, moving the node moves the body instead (see `Render.bodies`).
+  * The binding is dropped once the body leaves the world.
+  * @method bind
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @param {body} body
+  * @param {object} [options]
+  * @param {vector} [options.offset] The position of the node in the body's local space
+  * @param {boolean} [options.syncRotation=true] Whether the node rotates with the body
+  */
+  Render.bind = function (render, node, body, options = {}) {
+    Render.unbind(render, node);
+    Render.unbind(render, body);
+
+    const position = _nodePosition(render, node),
+      cos = Math.cos(-body.angle),
+      sin = Math.sin(-body.angle),
+      dx = position.x - body.position.x,
+      dy = position.y - body.position.y;
+
+    const binding = {
+      node,
+      body,
+      offset: options.offset || {x: dx * cos - dy * sin, y: dx * sin + dy * cos},
+      rotation: node.attr('rotate') - 180 * body.angle / Math.PI,
+      syncRotation: options.syncRotation !== false,
+      // the node is considered zoomed by the current view
+      zoom: _nodeZoom(render, node),
+    };
+
+    for(let k = 0; k < body.parts.length; k++) {
+      _releaseNode(render, body.parts[k]);
+    }
+
+    render.bindings.set(body, binding);
+    _syncBinding(render, binding);
+  };
+
+  /**
+  * Removes the binding of a node or a body, handing control of the node back.
+  * The node is left where it is, and the body is drawn by the renderer again.
+  * @method unbind
+  * @param {render} render
+  * @param {BaseSprite|body} target The bound node or body
+  */
+  Render.unbind = function (render, target) {
+    if(render.bindings.has(target)) {
+      render.bindings.delete(target);
+      return;
+    }
+    render.bindings.forEach((binding, body) => {
+      if(binding.node === target) render.bindings.delete(body);
+    });
+  };
+
+  /**
+  * Creates a rectangle body drawn as text (see `body.render.text`), sized from the content box of a Label
+  * measured on the layer of the render, and adds it to the world of the render, e.g. for the letters of a word game.
+  * The text is laid out in the width of the body, where it is aligned by `align`:
+  *
+  *   'HELLO'.split('').forEach((letter, i) => {
+  *     Render.addText(render, 100 + 40 * i, 50, {content: letter, font: '48px Arial', color: '#333'});
+  *   });
+  *
+  * @method addText
+  * @param {render} render
+  * @param {number} x
+  * @param {number} y
+  * @param {string|object} text The content of the text, or the `content`, `font`, `color` and `align` of the text
+  * @param {object} [options]
+  * @return {body} The body created
+  */
+  Render.addText = function (render, x, y, text, options) {
+    const style = typeof text === 'object' ? text : {content: text},
+      bodyOptions = Common.extend({render: {text: style}}, options || {}),
+      label = new Label(style.content != null ? String(style.content) : '');
+
+    if(style.font) label.attr({font: style.font});
+
+    // labels are measured with the context of their layer
+    render.layer.append(label);
+    const [width, height] = label.contentSize;
+    render.layer.removeChild(label);
+
+    const body = Bodies.rectangle(x, y, Math.max(width, 1), Math.max(height, 1), bodyOptions);
+    World.add(render.engine.world, body);
+
+    return body;
+  };
+
+  /**
+  * Returns the top-most body at a point of the layer, e.g. from a pointer event, through the viewport.
+  * Compound bodies are hit by their parts only. The bodies under the point are ranked as they are drawn:
+  * by the `zIndex` of the layers of their nodes (see `Render.layerOf`), then by the `zIndex` of their nodes
+  * (see `body.render.zIndex`), then by the order their nodes were appended in.
+  * @method bodyAt
+  * @param {render} render
+  * @param {vector} point In the coordinates of the layer
+  * @return {body} The body at the point, or null
+  */
+  Render.bodyAt = function (render, point) {
+    const bodies = Query.point(Composite.allBodies(render.engine.world), Render.viewToWorld(render, point));
+
+    let top = null,
+      topOrder = null;
+
+    bodies.forEach((body) => {
+      const order = _drawOrder(render, body);
+      if(!top || _compareOrder(order, topOrder) >= 0) {
+        top = body;
+        topOrder = order;
+      }
+    });
+
+    return top;
+  };
+
+  /**
+  * Returns the bodies overlapping a region of the layer, through the viewport.
+  * @method bodiesIn
+  * @param {render} render
+  * @param {bounds} bounds In the coordinates of the layer
+  * @return {body[]} The bodies whose bounds overlap the region
+  */
+  Render.bodiesIn = function (render, bounds) {
+    const min = Render.viewToWorld(render, bounds.min),
+      max = Render.viewToWorld(render, bounds.max);
+
+    return Query.region(Composite.allBodies(render.engine.world), {min, max});
+  };
+
+  /**
+  * Returns the body a node draws, or is bound to, e.g. to resolve the target of a pointer event.
+  * The children of a bound Group resolve to the body of the Group.
+  * @method bodyOf
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @return {body} The body (the compound body for the nodes of parts), or null
+  */
+  Render.bodyOf = function (render, node) {
+    for(; node && node !== render.layer; node = node.parent) {
+      const part = render.spriteParts.get(node);
+      if(part) {
+        // constraints are drawn too
+        return part.type === 'body' ? part.parent : null;
+      }
+
+      let body = null;
+      render.bindings.forEach((binding) => {
+        if(binding.node === node) body = binding.body;
+      });
+      if(body) {
+        return body;
+      }
+    }
+    return null;
+  };
+
+  /**
+  * Returns the node drawing a body or a part: the node bound to the body, or else the node of the part,
+  * or else the node of its compound body (its Group in sprite mode, its convex hull in wireframes),
+  * or else the node of its first part.
+  * It replaces the `spriteNode` property of parts and constraints, which is deprecated: it still returns
+  * the node registered for the part, if any, and warns once.
+  * @method nodeOf
+  * @param {render} render
+  * @param {body} body A body or a part
+  * @return {BaseSprite} The node, or null
+  */
+  Render.nodeOf = function (render, body) {
+    const binding = render.bindings.get(body.parent);
+    if(binding) {
+      return binding.node;
+    }
+
+    const parent = body.parent;
+    return render.spriteNodes.get(body)
+      || render.spriteNodes.get(parent)
+      || (parent.parts.length > 1 && render.spriteNodes.get(parent.parts[1]))
+      || null;
+  };
+
+  /**
+  * Returns the layer the nodes of a body are drawn on: `body.render.layer`, or else the layer
+  * of the collision category of the body in `render.categoryLayers`, or else the layer of the renderer.
+  * @method layerOf
+  * @param {render} render
+  * @param {body} body
+  * @return {Layer} layer
+  */
+  Render.layerOf = function (render, body) {
+    return body.render.layer || render.categoryLayers[body.collisionFilter.category] || render.layer;
+  };
+
+  /**
+  * Returns the root group of the renderer on a layer, created on first use, holding the nodes of the bodies
+  * and constraints drawn on the layer. The viewport (`render.bounds`) is applied once to the group, so that
+  * its children are posed in world coordinates and zoomed with the world, without skewing rotated nodes.
+  * Nodes bound with `Render.bind` can be appended to it to be laid out in the world too,
+  * instead of the coordinates of their layer.
+  * @method rootOf
+  * @param {render} render
+  * @param {Layer} [layer=render.layer]
+  * @return {Group} The root group
+  */
+  Render.rootOf = function (render, layer = render.layer) {
+    let root = render.roots.get(layer);
+    if(!root) {
+      root = new ViewportGroup();
+      root.attr({anchor: 0});
+      layer.append(root);
+      render.roots.set(layer, root);
+      _syncRoot(render, root);
+    }
+    return root;
+  };
+
+  /**
+  * Optimised method for drawing body wireframes in one pass
+  * @private
+  * @method bodyWireframes
+  * @param {render} render
+  * @param {body[]} bodies
+  * @param {RenderingContext} context
+  */
+  Render.bodyWireframes = function (render, bodies, context) {
+    const c = context,
+      options = render.options;
+
+    let body,
+      part;
+
+    c.beginPath();
 
     // render all bodies
     for(let i = 0; i < bodies.length; i++) {
       body = bodies[i];
 
+      // bound nodes keep following their bodies under the wireframes
+      const binding = render.bindings.get(body);
+      if(binding) { _syncBinding(render, binding) }
+
       if(!body.render.visible) { continue }
 
+      if(body.render.kinematic) {
+        _syncKinematic(render, body);
+      }
+
+      // wireframes are drawn part by part
+      if(_groupOf(render, body)) { _releaseNode(render, body) }
+
       // handle compound parts
       for(let k = body.parts.length > 1 ? 1 : 0; k < body.parts.length; k++) {
         part = body.parts[k];
-        const {position, angle} = part;
-        const pos = [
-            Math.round(position.x * 10) / 10,
-            Math.round(position.y * 10) / 10,
-          ],
-          rotate = Math.round(180 * angle * 10 / Math.PI) / 10;
-
-        let s = part.spriteNode;
-        if(s) {
-          s.attr({
-            pos,
-            rotate,
-          });
-        } else {
-          let {vertices} = part;
-          const {x: x0, y: y0} = vertices[0];
 
-          if(!showInternalEdges) {
-            vertices = vertices.filter(v => !v.isInternal);
-          }
+        let s = render.spriteNodes.get(part);
+        if(s && part.spriteGeometry.kind !== 'wireframe') {
+          _releaseNode(render, part);
+          s = null;
+        }
 
-          let d = `M${x0},${y0}`;
-          for(let j = 1; j < vertices.length; j++) {
-            const x = vertices[j].x,
-              y = vertices[j].y;
-            d += `L${x},${y}`;
+        if(s) {
+          if(_geometryChanged(part, s)) {
+            _syncGeometry(part, s, 'wireframe', options.showInternalEdges);
           }
-          d += 'z';
+        } else {
           s = new Path();
-          s.attr({
-            anchor: 0.5,
-            path: {d, trim: true},
-            pos,
-            rotate,
-            strokeColor: '#bbb',
-          });
-          part.spriteNode = s;
-          layer.append(s);
+          _syncGeometry(part, s, 'wireframe', options.showInternalEdges);
+          _appendNode(render, part, s);
         }
+        _syncColor(part, s, Render.theme(render, body).wireframe);
+        _syncOrder(render, body, s);
+        _poseNode(render, part, s);
         if(options.showSleeping && body.isSleeping) {
           if(!part.fullOpacity) {
             const opacity = s.attr('opacity');
@@ -733,8 +1245,7 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @param {RenderingContext} context
   */
   Render.bodyConvexHulls = function (render, bodies, context) {
-    const c = context,
-      layer = render.layer;
+    const c = context;
 
     let body;
 
@@ -743,551 +1254,1288 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
     // render convex hulls
     for(let i = 0; i < bodies.length; i++) {
       body = bodies[i];
-      const {position, angle} = body;
-      const pos = [
-          Math.round(position.x * 10) / 10,
-          Math.round(position.y * 10) / 10,
-        ],
-        rotate = Math.round(180 * angle * 10 / Math.PI) / 10;
 
       if(!body.render.visible || body.parts.length === 1) {
         continue;
       }
-      let s = body.spriteNode;
+      let s = render.spriteNodes.get(body);
+      if(s && body.spriteGeometry.kind !== 'hull') {
+        _releaseNode(render, body);
+        s = null;
+      }
+
       if(s) {
-        s.attr({
-          pos,
-          rotate,
-        });
-      } else {
-        const {vertices} = body;
-        const {x: x0, y: y0} = vertices[0];
-        let d = 'M0,0';
-        for(let j = 1; j < vertices.length; j++) {
-          const x = vertices[j].x - x0,
-            y = vertices[j].y - y0;
-          d += `L${x},${y}`;
+        if(_geometryChanged(body, s)) {
+          _syncGeometry(body, s, 'hull');
         }
-        d += 'z';
+      } else {
         s = new Path();
-        s.attr({
-          anchor: 0.5,
-          path: {d, trim: true},
-          pos,
-          rotate,
-          strokeColor: 'rgba(255,255,255,0.2)',
-        });
-        body.spriteNode = s;
-        layer.append(s);
+        _syncGeometry(body, s, 'hull');
+        _appendNode(render, body, s);
       }
+      _syncColor(body, s, Render.theme(render, body).hull);
+      _syncOrder(render, body, s);
+      _poseNode(render, body, s);
     }
   };
 
   /**
-  * Renders body vertex numbers.
+  * Applies the background to the canvas using CSS.
+  * @method applyBackground
   * @private
-  * @method vertexNumbers
   * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {string} background
   */
-  Render.vertexNumbers = function (render, bodies, context) {
-    const c = context;
+  function _applyBackground(render, background) {
+    let cssBackground = background;
 
-    for(let i = 0; i < bodies.length; i++) {
-      const parts = bodies[i].parts;
-      for(let k = parts.length > 1 ? 1 : 0; k < parts.length; k++) {
-        const part = parts[k];
-        for(let j = 0; j < part.vertices.length; j++) {
-          c.fillStyle = 'rgba(255,255,255,0.2)';
-          c.fillText(`${i}_${j}`, part.position.x + (part.vertices[j].x - part.position.x) * 0.8, part.position.y + (part.vertices[j].y - part.position.y) * 0.8);
+    if(/(jpg|gif|png)$/.test(background)) { cssBackground = `url(${background})` }
+
+    render.canvas.style.background = cssBackground;
+    render.canvas.style.backgroundSize = 'contain';
+    render.currentBackground = background;
+  }
+
+  /**
+  * Appends a node to the layer of its body (see `Render.layerOf`), or to the group of its compound body,
+  * and registers it as the node of the given part. Constraints are drawn on the layer of the renderer.
+  * The deprecated `spriteNode` property of the part is kept readable, forwarding to the registry.
+  * @method appendNode
+  * @private
+  * @param {render} render
+  * @param {body|constraint} part
+  * @param {Sprite|Path|Group} node
+  * @param {Group} [group]
+  */
+  function _appendNode(render, part, node, group) {
+    render.spriteNodes.set(part, node);
+    render.spriteParts.set(node, part);
+
+    if(!Object.prototype.hasOwnProperty.call(part, 'spriteNode')) {
+      Object.defineProperty(part, 'spriteNode', {
+        configurable: true,
+        get() {
+          if(!_spriteNodeWarned) {
+            Common.warn('part.spriteNode is deprecated, use Render.nodeOf(render, part) instead.');
+            _spriteNodeWarned = true;
+          }
+          return render.spriteNodes.get(part);
+        },
+      });
+    }
+    if(group) {
+      group.append(node);
+    } else {
+      Render.rootOf(render, part.type === 'body' ? Render.layerOf(render, part.parent) : render.layer).append(node);
+    }
+  }
+
+  /**
+  * Moves a node drawing a body to the root group of the layer of the body and applies `body.render.zIndex`,
+  * when they have changed.
+  * @method syncOrder
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @param {BaseSprite} node
+  */
+  function _syncOrder(render, body, node) {
+    const root = Render.rootOf(render, Render.layerOf(render, body)),
+      zIndex = body.render.zIndex;
+
+    if(node.parent !== root) {
+      if(node.parent) node.parent.removeChild(node);
+      root.append(node);
+    }
+
+    // left to the node otherwise, e.g. to `sprite.attrs`
+    if(zIndex != null && node.attr('zIndex') !== zIndex) {
+      node.attr({zIndex});
+    }
+  }
+
+  /**
+  * Returns the rank a body is drawn at: the `zIndex` of the layer of its node, the `zIndex` of its node
+  * and the order its node was appended in. Bodies without nodes rank under the others.
+  * @method drawOrder
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @return {number[]} order
+  */
+  function _drawOrder(render, body) {
+    const node = Render.nodeOf(render, body);
+    if(!node || !node.layer) {
+      return [-Infinity, -Infinity, -Infinity];
+    }
+    return [Number(node.layer.zIndex) || 0, node.attr('zIndex'), node.zOrder || 0];
+  }
+
+  /**
+  * Compares two ranks returned by drawOrder.
+  * @method compareOrder
+  * @private
+  * @param {number[]} a
+  * @param {number[]} b
+  * @return {number} Negative when `a` is drawn under `b`, positive when drawn above
+  */
+  function _compareOrder(a, b) {
+    for(let i = 0; i < a.length; i++) {
+      if(a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  /**
+  * Detaches the node of the given part from the layer and releases it.
+  * @method releaseNode
+  * @private
+  * @param {render} render
+  * @param {body} part
+  */
+  function _releaseNode(render, part) {
+    const node = render.spriteNodes.get(part);
+    if(node) {
+      if(part.spriteGeometry && part.spriteGeometry.kind === 'group') {
+        // the nodes of the parts go with the group
+        for(let k = 1; k < part.parts.length; k++) {
+          _releaseNode(render, part.parts[k]);
         }
+        _releaseOutline(part);
       }
+      // remove() without arguments empties a group instead
+      if(node.parent) node.parent.removeChild(node);
+      render.spriteNodes.delete(part);
+      render.spriteParts.delete(node);
+      delete part.spriteGeometry;
+      delete part.spriteStyle;
+      delete part.fullOpacity;
+      delete part.spritePose;
+      delete part.spriteCulled;
+      delete part.spriteShadow;
+      render.shadowed.delete(part);
     }
-  };
+    if(part.spriteAnchors) {
+      part.spriteAnchors.remove();
+      delete part.spriteAnchors;
+    }
+  }
 
   /**
-  * Renders mouse position.
+  * Creates, updates or removes the node drawing the anchor points of a constraint.
+  * Anchors are filled, so they can't share the stroked node of the constraint.
+  * @method syncAnchors
   * @private
-  * @method mousePosition
   * @param {render} render
-  * @param {mouse} mouse
-  * @param {RenderingContext} context
+  * @param {constraint} constraint
+  * @param {string} kind
+  * @param {number[]} pos The start point, in world coordinates
+  * @param {vector} delta From the start point to the end point
+  * @param {number} opacity
   */
-  Render.mousePosition = function (render, mouse, context) {
-    const c = context;
-    c.fillStyle = 'rgba(255,255,255,0.8)';
-    c.fillText(`${mouse.position.x}  ${mouse.position.y}`, mouse.position.x + 5, mouse.position.y - 5);
-  };
+  function _syncAnchors(render, constraint, kind, pos, delta, opacity) {
+    const style = constraint.render;
+
+    let anchors = constraint.spriteAnchors;
+    if(style.anchors && kind !== 'pin') {
+      if(!anchors) {
+        anchors = new Path();
+        constraint.spriteAnchors = anchors;
+        Render.rootOf(render).append(anchors);
+      }
+      const d = `${circlePath(0, 0, 3)}${circlePath(delta.x, delta.y, 3)}`;
+      anchors.attr({
+        pos,
+        fillColor: style.strokeStyle,
+        opacity,
+      });
+      if(anchors.attr('d') !== d) {
+        anchors.attr('d', d);
+      }
+    } else if(anchors) {
+      anchors.remove();
+      delete constraint.spriteAnchors;
+    }
+  }
 
   /**
-  * Draws body bounds
+  * Returns the svg path of a constraint: a pin circle, a line or a zigzag spring whose coils follow its length.
+  * Points are relative to the start point, minus the offset of the path inside the node box.
+  * @method constraintPath
   * @private
-  * @method bodyBounds
-  * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {constraint} constraint
+  * @param {string} kind
+  * @param {vector} delta From the start point to the end point
+  * @param {number[]} pathOffset
+  * @return {string} path
   */
-  Render.bodyBounds = function (render, bodies, context) {
-    const c = context,
-      options = render.options;
+  function _constraintPath(constraint, kind, delta, [ox, oy]) {
+    const round = v => Math.round(v * 100) / 100;
 
-    c.beginPath();
+    if(kind === 'pin') {
+      return circlePath(-ox, -oy, 3);
+    }
 
-    for(let i = 0; i < bodies.length; i++) {
-      const body = bodies[i];
+    let d = `M${round(-ox)},${round(-oy)}`;
 
-      if(body.render.visible) {
-        const parts = bodies[i].parts;
-        for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
-          const part = parts[j];
-          c.rect(part.bounds.min.x, part.bounds.min.y, part.bounds.max.x - part.bounds.min.x, part.bounds.max.y - part.bounds.min.y);
-        }
+    if(kind === 'spring') {
+      const normal = Vector.perp(Vector.normalise(delta)),
+        coils = Math.ceil(Common.clamp(constraint.length / 5, 12, 20));
+      let offset;
+      for(let j = 1; j < coils; j += 1) {
+        offset = j % 2 === 0 ? 1 : -1;
+
+        const x = delta.x * (j / coils) + normal.x * offset * 4 - ox,
+          y = delta.y * (j / coils) + normal.y * offset * 4 - oy;
+        d += `L${round(x)},${round(y)}`;
       }
     }
 
-    if(options.wireframes) {
-      c.strokeStyle = 'rgba(255,255,255,0.8)';
+    return `${d}L${round(delta.x - ox)},${round(delta.y - oy)}`;
+  }
+
+  /**
+  * Returns the position of the light casting the shadows in the world: `render.options.light`,
+  * or the top centre of the view by default.
+  * @method lightPosition
+  * @private
+  * @param {render} render
+  * @return {vector} position
+  */
+  function _lightPosition(render) {
+    const light = render.options.light;
+    if(light) {
+      return light;
+    }
+
+    const {min, max} = render.options.hasBounds ? render.bounds : {min: {x: 0, y: 0}, max: {x: render.options.width, y: render.options.height}};
+    return {x: min.x + (max.x - min.x) * 0.5, y: min.y + (max.y - min.y) * 0.2};
+  }
+
+  /**
+  * Sets or removes the shadow the node of a part casts, redrawing it when the shadow changes.
+  * @method setShadow
+  * @private
+  * @param {render} render
+  * @param {body} part
+  * @param {BaseSprite} node
+  * @param {object} shadow The `color`, `blur`, `offsetX` and `offsetY` of the shadow in the layer, or null
+  */
+  function _setShadow(render, part, node, shadow) {
+    const previous = part.spriteShadow;
+
+    if(shadow) {
+      const round = v => Math.round(v * 10) / 10;
+      shadow = {
+        color: shadow.color,
+        blur: round(shadow.blur),
+        offsetX: round(shadow.offsetX),
+        offsetY: round(shadow.offsetY),
+      };
+
+      if(previous && previous.color === shadow.color && previous.blur === shadow.blur
+        && previous.offsetX === shadow.offsetX && previous.offsetY === shadow.offsetY) {
+        return;
+      }
+      if(!previous) {
+        node.on('beforedraw', render.shadowHandler);
+      }
+      part.spriteShadow = shadow;
+    } else if(previous) {
+      node.off('beforedraw', render.shadowHandler);
+      delete part.spriteShadow;
     } else {
-      c.strokeStyle = 'rgba(0,0,0,0.1)';
+      return;
     }
 
-    c.lineWidth = 1;
-    c.stroke();
-  };
+    node.forceUpdate();
+  }
 
   /**
-  * Draws body angle indicators and axes
+  * Applies the shadow of the node about to be drawn to the context, which is restored once it is drawn.
+  * Canvas shadows are not transformed, so they fall the same way whatever the rotation of the node.
+  * @method castShadow
   * @private
-  * @method bodyAxes
   * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {object} evt The `beforedraw` event of the node
   */
-  Render.bodyAxes = function (render, bodies, context) {
-    const c = context,
-      options = render.options;
-    let part;
+  function _castShadow(render, {target, context}) {
+    const part = render.spriteParts.get(target),
+      shadow = part && part.spriteShadow;
+
+    if(shadow) {
+      context.shadowColor = shadow.color;
+      context.shadowBlur = shadow.blur;
+      context.shadowOffsetX = shadow.offsetX;
+      context.shadowOffsetY = shadow.offsetY;
+    }
+  }
 
-    c.beginPath();
+  /**
+  * Steps the engine by the time elapsed on the timeline of the renderer since the last frame.
+  * Nothing is stepped while the timeline is paused or plays backwards, or while the runner is disabled.
+  * Fixed-step runners accumulate the elapsed time (see `Runner.tickFixed`), otherwise the engine is updated once
+  * by the elapsed time, up to `runner.deltaMax`.
+  * @method tickTimeline
+  * @private
+  * @param {render} render
+  */
+  function _tickTimeline(render) {
+    const {timeline, runner, engine} = render,
+      time = timeline.currentTime,
+      maxDelta = runner && runner.deltaMax ? runner.deltaMax : 1000 / 30,
+      delta = render.timelineTime != null ? Math.min(Math.max(0, time - render.timelineTime), maxDelta) : 0;
+
+    render.timelineTime = time;
+
+    if(runner && !runner.enabled) return;
+
+    if(runner && runner.isFixedStep) {
+      // the runner counts the time of the timeline, whatever its own time was
+      Runner.tickFixed(runner, engine, (runner.timePrev || 0) + delta);
+      return;
+    }
+
+    if(delta <= 0) return;
+
+    const event = {timestamp: engine.timing.timestamp},
+      correction = render.timelineDelta ? delta / render.timelineDelta : 1;
+
+    render.timelineDelta = delta;
 
+    if(runner) {
+      Events.trigger(runner, 'beforeTick', event);
+      Events.trigger(runner, 'beforeUpdate', event);
+    }
+
+    Engine.update(engine, delta, correction);
+
+    if(runner) {
+      Events.trigger(runner, 'afterUpdate', event);
+      Events.trigger(runner, 'afterTick', event);
+    }
+  }
+
+  /**
+  * Returns how far the state drawn is between the two last steps of the engine: the `alpha` of a fixed-step runner
+  * (see `Runner.createFixed`) when `render.options.interpolate` is set, or 1.
+  * @method alpha
+  * @private
+  * @param {render} render
+  * @return {number} alpha
+  */
+  function _alpha(render) {
+    const runner = render.runner;
+    if(render.options.interpolate && runner && runner.alpha != null) {
+      return runner.alpha;
+    }
+    return 1;
+  }
+
+  /**
+  * Saves the transforms of the bodies before a step of the engine, when interpolating.
+  * @method saveTransforms
+  * @private
+  * @param {render} render
+  */
+  function _saveTransforms(render) {
+    const transforms = render.transforms;
+
+    transforms.clear();
+    if(!render.options.interpolate) return;
+
+    const bodies = Composite.allBodies(render.engine.world);
     for(let i = 0; i < bodies.length; i++) {
-      const body = bodies[i],
-        parts = body.parts;
+      const {position, angle} = bodies[i];
+      transforms.set(bodies[i], {x: position.x, y: position.y, angle});
+    }
+  }
+
+  /**
+  * Returns the transform of a body to draw, interpolated between its transform before the last step
+  * and its current one.
+  * @method bodyTransform
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @return {object} The position `x`, `y` and the `angle`
+  */
+  function _bodyTransform(render, body) {
+    const {position, angle} = body,
+      previous = render.transforms.get(body),
+      alpha = _alpha(render);
+
+    // kinematic bodies follow their nodes, which are already where they should be drawn
+    if(!previous || alpha >= 1 || body.render.kinematic) {
+      return {x: position.x, y: position.y, angle};
+    }
+
+    return {
+      x: previous.x + (position.x - previous.x) * alpha,
+      y: previous.y + (position.y - previous.y) * alpha,
+      angle: previous.angle + (angle - previous.angle) * alpha,
+    };
+  }
+
+  /**
+  * Returns the transform of a part to draw, following the interpolated transform of its body.
+  * @method partTransform
+  * @private
+  * @param {render} render
+  * @param {body} part
+  * @return {object} The position `x`, `y` and the `angle`
+  */
+  function _partTransform(render, part) {
+    const body = part.parent,
+      transform = _bodyTransform(render, body);
+
+    if(part === body) {
+      return transform;
+    }
+
+    const rotation = transform.angle - body.angle,
+      cos = Math.cos(rotation),
+      sin = Math.sin(rotation),
+      dx = part.position.x - body.position.x,
+      dy = part.position.y - body.position.y;
 
+    return {
+      x: transform.x + dx * cos - dy * sin,
+      y: transform.y + dx * sin + dy * cos,
+      angle: part.angle + rotation,
+    };
+  }
+
+  /**
+  * Moves the node of a part to the position and angle of the part in the world, in the root group of its layer.
+  * @method poseNode
+  * @private
+  * @param {render} render
+  * @param {body} part
+  * @param {BaseSprite} node
+  */
+  function _poseNode(render, part, node) {
+    const transform = _partTransform(render, part),
+      geometry = part.spriteGeometry,
+      x = Math.round(transform.x * 10) / 10,
+      y = Math.round(transform.y * 10) / 10,
+      rotate = Math.round(180 * transform.angle * 10 / Math.PI) / 10;
+
+    node.attr({
+      pos: [x, y],
+      rotate,
+      scale: geometry && geometry.scale ? geometry.scale : [1, 1],
+    });
+
+    // to detect the moves of kinematic bodies
+    part.spritePose = {x, y, rotate};
+  }
+
+  /**
+  * Moves the node of a part inside the group of its compound body, which is posed by the body.
+  * @method posePart
+  * @private
+  * @param {body} body
+  * @param {body} part
+  * @param {BaseSprite} node
+  */
+  function _posePart(body, part, node) {
+    const [originX, originY] = body.spriteGeometry.origin,
+      geometry = part.spriteGeometry,
+      scale = geometry && geometry.scale ? geometry.scale : [1, 1],
+      cos = Math.cos(-body.angle),
+      sin = Math.sin(-body.angle),
+      dx = part.position.x - body.position.x,
+      dy = part.position.y - body.position.y;
+
+    node.attr({
+      pos: [Math.round((originX + dx * cos - dy * sin) * 10) / 10, Math.round((originY + dx * sin + dy * cos) * 10) / 10],
+      rotate: Math.round(180 * (part.angle - body.angle) * 10 / Math.PI) / 10,
+      scale,
+    });
+  }
+
+  /**
+  * Returns the group drawing a compound body in sprite mode, if any.
+  * @method groupOf
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @return {Group} group
+  */
+  function _groupOf(render, body) {
+    const node = render.spriteNodes.get(body);
+    return node && body.spriteGeometry.kind === 'group' ? node : null;
+  }
+
+  /**
+  * Creates, resizes and poses the group drawing a compound body, registered as the node of the body,
+  * so that the body can be faded, filtered, ordered or hit as one node.
+  * The group replaces the convex hull of the wireframes.
+  * @method syncGroup
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @return {Group} The group, or null for a body not visible yet
+  */
+  function _syncGroup(render, body) {
+    let group = render.spriteNodes.get(body);
+    if(group && body.spriteGeometry.kind !== 'group') {
+      _releaseNode(render, body);
+      group = null;
+    }
+
+    if(!group) {
       if(!body.render.visible) {
-        continue;
-      } if(options.showAxes) {
-        // render all axes
-        for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
-          part = parts[j];
-          for(let k = 0; k < part.axes.length; k++) {
-            const axis = part.axes[k];
-            c.moveTo(part.position.x, part.position.y);
-            c.lineTo(part.position.x + axis.x * 20, part.position.y + axis.y * 20);
-          }
-        }
-      } else {
-        for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
-          part = parts[j];
-          for(let k = 0; k < part.axes.length; k++) {
-            // render a single axis indicator
-            c.moveTo(part.position.x, part.position.y);
-            c.lineTo(
-              (part.vertices[0].x + part.vertices[part.vertices.length - 1].x) / 2,
-              (part.vertices[0].y + part.vertices[part.vertices.length - 1].y) / 2
-            );
-          }
-        }
+        return null;
       }
+      group = new Group();
+      _appendNode(render, body, group);
     }
 
-    if(options.wireframes) {
-      c.strokeStyle = 'indianred';
-      c.lineWidth = 1;
-    } else {
-      c.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-      c.globalCompositeOperation = 'overlay';
-      c.lineWidth = 2;
+    if(_geometryChanged(body, group)) {
+      _syncGeometry(body, group, 'group');
     }
+    _syncOrder(render, body, group);
+    _poseNode(render, body, group);
 
-    c.stroke();
-    c.globalCompositeOperation = 'source-over';
-  };
+    return group;
+  }
 
   /**
-  * Draws body positions
+  * Draws a compound body with `body.render.mergeOutline` set as a single path in its group, styled by `body.render`:
+  * the outline of the union of its parts, without the edges they share,
+  * e.g. to draw a concave body decomposed by `Bodies.fromVertices` as one seamless shape.
+  * @method syncOutline
   * @private
-  * @method bodyPositions
   * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {body} body
+  * @param {Group} group
   */
-  Render.bodyPositions = function (render, bodies, context) {
-    const c = context,
-      options = render.options;
-    let body,
-      part;
+  function _syncOutline(render, body, group) {
+    const geometry = body.spriteGeometry;
 
-    c.beginPath();
+    for(let k = 1; k < body.parts.length; k++) {
+      _releaseNode(render, body.parts[k]);
+    }
 
-    // render current positions
-    for(let i = 0; i < bodies.length; i++) {
-      body = bodies[i];
+    let outline = body.spriteOutline;
+    if(!outline) {
+      outline = new Path();
+      outline.attr({anchor: 0});
+      group.append(outline);
+      body.spriteOutline = outline;
+    }
 
-      if(!body.render.visible) { continue }
+    _syncStyle(render, body, body, outline, 'path');
 
-      // handle compound parts
-      for(let k = 0; k < body.parts.length; k++) {
-        part = body.parts[k];
-        c.arc(part.position.x, part.position.y, 3, 0, 2 * Math.PI, false);
-        c.closePath();
+    // rebuilt with the group, or when the stroke is resized
+    const [ox, oy] = outline.pathOffset;
+    if(!geometry.outline || geometry.outline[0] !== ox || geometry.outline[1] !== oy) {
+      outline.attr({
+        pos: geometry.origin,
+        path: {d: _outlinePath(body, ox, oy)},
+      });
+      geometry.outline = [ox, oy];
+    }
+  }
+
+  /**
+  * Removes the merged outline of a compound body, if any.
+  * @method releaseOutline
+  * @private
+  * @param {body} body
+  */
+  function _releaseOutline(body) {
+    if(body.spriteOutline) {
+      body.spriteOutline.remove();
+      delete body.spriteOutline;
+      delete body.spriteStyle;
+    }
+  }
+
+  /**
+  * Returns the outline of the union of the parts of a compound body, relative to the body, before rotation:
+  * the edges of the parts that are not shared with another part (or flagged as internal), chained into loops.
+  * @method outlinePath
+  * @private
+  * @param {body} body
+  * @param {number} ox The offset of the path inside its node, see syncGeometry
+  * @param {number} oy
+  * @return {string} path
+  */
+  function _outlinePath(body, ox, oy) {
+    const parts = body.parts.slice(1).map(part => _localVertices(part, body)),
+      near = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2 < 1,
+      point = v => `${Math.round((v.x - ox) * 100) / 100},${Math.round((v.y - oy) * 100) / 100}`,
+      edges = [];
+
+    parts.forEach((vertices, i) => {
+      vertices.forEach((a, j) => {
+        const b = vertices[(j + 1) % vertices.length];
+
+        // edges shared by two parts run in opposite directions
+        const shared = a.isInternal || parts.some((other, m) => m !== i && other.some((c, k) => {
+          return near(c, b) && near(other[(k + 1) % other.length], a);
+        }));
+
+        if(!shared) edges.push([a, b]);
+      });
+    });
+
+    let d = '';
+    while(edges.length) {
+      const [start, next] = edges.shift();
+      let end = next;
+
+      d += `M${point(start)}L${point(end)}`;
+      for(let k = edges.findIndex(([a]) => near(a, end)); k >= 0; k = edges.findIndex(([a]) => near(a, end))) {
+        end = edges.splice(k, 1)[0][1];
+        d += `L${point(end)}`;
       }
+      if(near(start, end)) d += 'z';
     }
 
-    if(options.wireframes) {
-      c.fillStyle = 'indianred';
-    } else {
-      c.fillStyle = 'rgba(0,0,0,0.5)';
+    return d;
+  }
+
+  /**
+  * Applies the viewport to a root group, when it has changed: world points are mapped to the layer
+  * as by `Render.worldToView`.
+  * @method syncRoot
+  * @private
+  * @param {render} render
+  * @param {Group} root
+  */
+  function _syncRoot(render, root) {
+    const {x, y, scaleX, scaleY} = Render.viewport(render),
+      [posX, posY] = root.attr('pos'),
+      [rootX, rootY] = root.attr('scale');
+
+    if(posX !== -x * scaleX || posY !== -y * scaleY || rootX !== scaleX || rootY !== scaleY) {
+      root.attr({
+        pos: [-x * scaleX, -y * scaleY],
+        scale: [scaleX, scaleY],
+      });
     }
-    c.fill();
+  }
 
-    c.beginPath();
+  /**
+  * Returns whether a node is a child of a root group of the renderer, so laid out in world coordinates.
+  * @method inRoot
+  * @private
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @return {boolean}
+  */
+  function _inRoot(render, node) {
+    const parent = node.parent;
+    return parent != null && render.roots.get(parent.parent) === parent;
+  }
 
-    // render previous positions
-    for(let i = 0; i < bodies.length; i++) {
-      body = bodies[i];
-      if(body.render.visible) {
-        c.arc(body.positionPrev.x, body.positionPrev.y, 2, 0, 2 * Math.PI, false);
-        c.closePath();
+  /**
+  * Returns the position of a node in the world: its own position in a root group,
+  * or else its position in its layer mapped through the viewport.
+  * @method nodePosition
+  * @private
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @return {vector} position
+  */
+  function _nodePosition(render, node) {
+    const [x, y] = node.attr('pos');
+    return _inRoot(render, node) ? {x, y} : Render.viewToWorld(render, {x, y});
+  }
+
+  /**
+  * Returns the zoom applied to the scale of a bound node: none in a root group, which is zoomed with the world,
+  * or else the zoom of the view.
+  * @method nodeZoom
+  * @private
+  * @param {render} render
+  * @param {BaseSprite} node
+  * @return {number[]} zoom
+  */
+  function _nodeZoom(render, node) {
+    if(_inRoot(render, node)) {
+      return [1, 1];
+    }
+    const {scaleX, scaleY} = Render.viewport(render);
+    return [scaleX, scaleY];
+  }
+
+  /**
+  * Moves a bound node to the position (and rotation) of its body.
+  * @method syncBinding
+  * @private
+  * @param {render} render
+  * @param {object} binding
+  */
+  function _syncBinding(render, binding) {
+    const {node, body, offset} = binding;
+
+    if(body.render.kinematic && binding.pose
+      && !_moveKinematic(render, body, node, binding.pose, offset, binding.syncRotation)) {
+      _stopKinematic(body);
+    }
+
+    const transform = _bodyTransform(render, body),
+      cos = Math.cos(transform.angle),
+      sin = Math.sin(transform.angle),
+      position = {
+        x: transform.x + offset.x * cos - offset.y * sin,
+        y: transform.y + offset.x * sin + offset.y * cos,
+      },
+      point = _inRoot(render, node) ? position : Render.worldToView(render, position),
+      x = Math.round(point.x * 10) / 10,
+      y = Math.round(point.y * 10) / 10,
+      zoom = _nodeZoom(render, node);
+
+    node.attr({
+      pos: [x, y],
+    });
+
+    if(zoom[0] !== binding.zoom[0] || zoom[1] !== binding.zoom[1]) {
+      // rescale the node relatively, so that its own scale can still be changed
+      const [scaleX, scaleY] = node.attr('scale');
+      node.attr({
+        scale: [scaleX * zoom[0] / binding.zoom[0], scaleY * zoom[1] / binding.zoom[1]],
+      });
+      binding.zoom = zoom;
+    }
+
+    if(binding.syncRotation) {
+      node.attr({
+        rotate: Math.round((binding.rotation + 180 * transform.angle / Math.PI) * 10) / 10,
+      });
+    }
+
+    binding.pose = {x, y, rotate: node.attr('rotate')};
+  }
+
+  /**
+  * Moves a kinematic body (with `body.render.kinematic` set) to follow the changes made to its nodes
+  * since the last frame, e.g. by `attr` or `animate`, then stops static ones that were not moved,
+  * as the engine doesn't damp their velocity.
+  * @method syncKinematic
+  * @private
+  * @param {render} render
+  * @param {body} body
+  */
+  function _syncKinematic(render, body) {
+    const group = _groupOf(render, body),
+      cos = Math.cos(-body.angle),
+      sin = Math.sin(-body.angle);
+
+    // the parts move with the group of the body
+    if(group) {
+      if(!body.spritePose || !_moveKinematic(render, body, group, body.spritePose, {x: 0, y: 0}, true)) {
+        _stopKinematic(body);
+      }
+      return;
+    }
+
+    for(let k = body.parts.length > 1 ? 1 : 0; k < body.parts.length; k++) {
+      const part = body.parts[k],
+        node = render.spriteNodes.get(part);
+
+      if(node && part.spritePose) {
+        // the position of the part in the body, before rotation
+        const dx = part.position.x - body.position.x,
+          dy = part.position.y - body.position.y,
+          offset = {x: dx * cos - dy * sin, y: dx * sin + dy * cos};
+
+        if(_moveKinematic(render, body, node, part.spritePose, offset, true)) {
+          return;
+        }
       }
     }
 
-    c.fillStyle = 'rgba(255,165,0,0.8)';
-    c.fill();
-  };
+    _stopKinematic(body);
+  }
 
   /**
-  * Draws body velocity
+  * Moves a body so that its node stays where it has been put, if it has been moved since its last pose,
+  * setting the velocity of the body from the move so that collisions respond to it.
+  * @method moveKinematic
   * @private
-  * @method bodyVelocity
   * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {body} body
+  * @param {BaseSprite} node
+  * @param {object} pose The last position (in the coordinates of its parent) and rotation the renderer gave to the node
+  * @param {vector} offset The position of the node in the body, before rotation
+  * @param {boolean} syncRotation Whether the rotation of the node follows the body
+  * @return {boolean} Whether the node had been moved
   */
-  Render.bodyVelocity = function (render, bodies, context) {
-    const c = context;
+  function _moveKinematic(render, body, node, pose, offset, syncRotation) {
+    const [nodeX, nodeY] = node.attr('pos'),
+      rotation = syncRotation ? node.attr('rotate') - pose.rotate : 0;
 
-    c.beginPath();
+    if(nodeX === pose.x && nodeY === pose.y && rotation === 0) {
+      return false;
+    }
 
-    for(let i = 0; i < bodies.length; i++) {
-      const body = bodies[i];
+    const {x, y} = _nodePosition(render, node),
+      angularVelocity = rotation * Math.PI / 180,
+      angle = body.angle + angularVelocity,
+      cos = Math.cos(angle),
+      sin = Math.sin(angle),
+      position = {
+        x: x - offset.x * cos + offset.y * sin,
+        y: y - offset.x * sin - offset.y * cos,
+      },
+      velocity = Vector.sub(position, body.position);
 
-      if(!body.render.visible) {
-        continue;
-      }c.moveTo(body.position.x, body.position.y);
-      c.lineTo(body.position.x + (body.position.x - body.positionPrev.x) * 2, body.position.y + (body.position.y - body.positionPrev.y) * 2);
-    }
+    Sleeping.set(body, false);
+    Body.setAngle(body, angle);
+    Body.setPosition(body, position);
+    Body.setVelocity(body, velocity);
+    Body.setAngularVelocity(body, angularVelocity);
 
-    c.lineWidth = 3;
-    c.strokeStyle = 'cornflowerblue';
-    c.stroke();
-  };
+    return true;
+  }
 
   /**
-  * Draws body ids
+  * Stops a static kinematic body that has not been moved this frame.
+  * @method stopKinematic
   * @private
-  * @method bodyIds
-  * @param {render} render
-  * @param {body[]} bodies
-  * @param {RenderingContext} context
+  * @param {body} body
   */
-  Render.bodyIds = function (render, bodies, context) {
-    const c = context;
-
-    for(let i = 0; i < bodies.length; i++) {
-      if(!bodies[i].render.visible) {
-        continue;
-      } const parts = bodies[i].parts;
-      for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
-        const part = parts[j];
-        c.font = '12px Arial';
-        c.fillStyle = 'rgba(255,255,255,0.5)';
-        c.fillText(part.id, part.position.x + 10, part.position.y - 10);
-      }
+  function _stopKinematic(body) {
+    if(body.isStatic && (body.speed || body.angularSpeed)) {
+      Body.setVelocity(body, {x: 0, y: 0});
+      Body.setAngularVelocity(body, 0);
     }
-  };
+  }
 
   /**
-  * Description
+  * Returns the kind of node `Render.bodies` draws the given part with.
+  * @method bodyKind
   * @private
-  * @method collisions
-  * @param {render} render
-  * @param {pair[]} pairs
-  * @param {RenderingContext} context
+  * @param {body} part
+  * @return {string} `text`, `sprite`, `circle` or `path`
   */
-  Render.collisions = function (render, pairs, context) {
-    const c = context,
-      options = render.options;
-
-    let pair,
-      collision;
-
-    c.beginPath();
+  function _bodyKind(part) {
+    const sprite = part.render.sprite;
+    if(part.render.text) {
+      return 'text';
+    }
+    if(sprite && (sprite.texture || sprite.attrs && sprite.attrs.textures)) {
+      return 'sprite';
+    }
+    if(part.circleRadius) {
+      return 'circle';
+    }
+    return 'path';
+  }
 
-    // render collision positions
-    for(let i = 0; i < pairs.length; i++) {
-      pair = pairs[i];
+  /**
+  * Returns the vertices of the part relative to its position, or to the position of its compound body, before rotation.
+  * @method localVertices
+  * @private
+  * @param {body} part
+  * @param {body} [body=part]
+  * @return {vector[]} vertices
+  */
+  function _localVertices(part, body = part) {
+    const {position, angle} = body,
+      vertices = part.vertices,
+      cos = Math.cos(-angle),
+      sin = Math.sin(-angle);
+
+    return vertices.map((v) => {
+      const dx = v.x - position.x,
+        dy = v.y - position.y;
+
+      return {
+        x: dx * cos - dy * sin,
+        y: dx * sin + dy * cos,
+        isInternal: v.isInternal,
+      };
+    });
+  }
 
-      if(!pair.isActive) {
-        continue;
-      }collision = pair.collision;
-      for(let j = 0; j < pair.activeContacts.length; j++) {
-        const contact = pair.activeContacts[j],
-          vertex = contact.vertex;
-        c.rect(vertex.x - 1.5, vertex.y - 1.5, 3.5, 3.5);
-      }
+  /**
+  * Checks whether the collision geometry of the part has changed since its node was built,
+  * e.g. after `Body.scale` or `Body.setVertices`, or if the stroke of the node has been resized.
+  * @method geometryChanged
+  * @private
+  * @param {body} part
+  * @param {Sprite|Path} node
+  * @return {boolean}
+  */
+  function _geometryChanged(part, node) {
+    const geometry = part.spriteGeometry;
+
+    if(!geometry
+      || geometry.vertices !== part.vertices
+      || geometry.length !== part.vertices.length
+      || geometry.area !== part.area
+      || geometry.circleRadius !== part.circleRadius) {
+      return true;
     }
 
-    if(options.wireframes) {
-      c.fillStyle = 'rgba(255,255,255,0.7)';
-    } else {
-      c.fillStyle = 'orange';
+    if(geometry.kind === 'circle') {
+      return geometry.lineWidth !== node.attr('border').width;
     }
-    c.fill();
-
-    c.beginPath();
-
-    // render collision normals
-    for(let i = 0; i < pairs.length; i++) {
-      pair = pairs[i];
+    if(geometry.pathOffset) {
+      const [ox, oy] = node.pathOffset;
+      return geometry.pathOffset[0] !== ox || geometry.pathOffset[1] !== oy;
+    }
+    return false;
+  }
 
-      if(!pair.isActive) {
-        continue;
-      }collision = pair.collision;
+  /**
+  * Maps `body.render` onto the attributes of the node of the part, when it has changed.
+  * @method syncStyle
+  * @private
+  * @param {render} render
+  * @param {body} body
+  * @param {body} part
+  * @param {Sprite|Path} node
+  * @param {string} kind
+  */
+  function _syncStyle(render, body, part, node, kind) {
+    const {fillStyle, strokeStyle, lineWidth, sprite} = part.render,
+      textStyle = kind === 'text' ? _textAttrs(part.render) : null;
 
-      if(pair.activeContacts.length > 0) {
-        let normalPosX = pair.activeContacts[0].vertex.x,
-          normalPosY = pair.activeContacts[0].vertex.y;
+    let opacity = part.render.opacity != null ? part.render.opacity : 1;
 
-        if(pair.activeContacts.length === 2) {
-          normalPosX = (pair.activeContacts[0].vertex.x + pair.activeContacts[1].vertex.x) / 2;
-          normalPosY = (pair.activeContacts[0].vertex.y + pair.activeContacts[1].vertex.y) / 2;
-        }
+    if(!body.render.visible || !part.render.visible) {
+      opacity = 0;
+    } else if(render.options.showSleeping && body.isSleeping) {
+      opacity *= 0.5;
+    }
 
-        if(collision.bodyB === collision.supports[0].body || collision.bodyA.isStatic === true) {
-          c.moveTo(normalPosX - collision.normal.x * 8, normalPosY - collision.normal.y * 8);
-        } else {
-          c.moveTo(normalPosX + collision.normal.x * 8, normalPosY + collision.normal.y * 8);
-        }
+    const style = part.spriteStyle;
+    if(style
+      && style.opacity === opacity
+      && style.fillStyle === fillStyle
+      && style.strokeStyle === strokeStyle
+      && style.lineWidth === lineWidth
+      && (!textStyle || Object.keys(textStyle).every(key => style.text[key] === textStyle[key]))
+      && style.attrs === sprite.attrs) {
+      return;
+    }
 
-        c.lineTo(normalPosX, normalPosY);
-      }
+    if(sprite.attrs && (!style || style.attrs !== sprite.attrs)) {
+      node.attr(sprite.attrs);
     }
 
-    if(options.wireframes) {
-      c.strokeStyle = 'rgba(255,165,0,0.7)';
-    } else {
-      c.strokeStyle = 'orange';
+    if(kind === 'circle') {
+      node.attr({
+        bgcolor: fillStyle,
+        border: {
+          width: lineWidth || 0,
+          color: strokeStyle,
+        },
+      });
+    } else if(kind === 'path') {
+      node.attr({
+        fillColor: fillStyle,
+        strokeColor: lineWidth ? strokeStyle : '',
+        lineWidth: lineWidth || 1,
+      });
+    } else if(kind === 'text') {
+      node.attr(textStyle);
     }
 
-    c.lineWidth = 1;
-    c.stroke();
-  };
+    node.attr({opacity});
+
+    part.spriteStyle = {
+      opacity,
+      fillStyle,
+      strokeStyle,
+      lineWidth,
+      text: textStyle,
+      attrs: sprite.attrs,
+    };
+  }
 
   /**
-  * Description
+  * Sets the stroke color of the wireframe or the hull node of a part, when it has changed, e.g. with the theme.
+  * @method syncColor
   * @private
-  * @method separations
-  * @param {render} render
-  * @param {pair[]} pairs
-  * @param {RenderingContext} context
+  * @param {body} part
+  * @param {Path} node
+  * @param {string} color
   */
-  Render.separations = function (render, pairs, context) {
-    const c = context,
-      options = render.options;
-
-    let pair,
-      collision,
-      bodyA,
-      bodyB;
+  function _syncColor(part, node, color) {
+    // colors are read back normalized, compare them as set
+    if(part.spriteGeometry.color !== color) {
+      node.attr({strokeColor: color});
+      part.spriteGeometry.color = color;
+    }
+  }
 
-    c.beginPath();
+  /**
+  * Maps `part.render.text` onto the attributes of a Label.
+  * @method textAttrs
+  * @private
+  * @param {object} style The `render` of the part
+  * @return {object} attrs
+  */
+  function _textAttrs({text, fillStyle, strokeStyle, lineWidth}) {
+    const attrs = {
+      text: text.content != null ? String(text.content) : '',
+      fillColor: text.color || fillStyle,
+      strokeColor: lineWidth ? strokeStyle : '',
+    };
 
-    // render separations
-    for(let i = 0; i < pairs.length; i++) {
-      pair = pairs[i];
+    if(text.font) attrs.font = text.font;
+    if(text.align) attrs.textAlign = text.align;
 
-      if(!pair.isActive) {
-        continue;
-      }collision = pair.collision;
-      bodyA = collision.bodyA;
-      bodyB = collision.bodyB;
+    return attrs;
+  }
 
-      let k = 1;
+  /**
+  * Builds or rescales the node of the part to match its collision geometry.
+  * Paths are drawn in local coordinates so that the node rotates around the centre of mass.
+  * @method syncGeometry
+  * @private
+  * @param {body} part
+  * @param {Sprite|Path|Group} node
+  * @param {string} kind
+  * @param {boolean} [showInternalEdges=true]
+  */
+  function _syncGeometry(part, node, kind, showInternalEdges = true) {
+    const geometry = {
+      kind,
+      vertices: part.vertices,
+      length: part.vertices.length,
+      area: part.area,
+      circleRadius: part.circleRadius,
+    };
 
-      if(!bodyB.isStatic && !bodyA.isStatic) k = 0.5;
-      if(bodyB.isStatic) k = 0;
+    if(kind === 'circle') {
+      // the border is centered on the outline of the circle
+      const r = part.circleRadius,
+        lineWidth = node.attr('border').width;
 
-      c.moveTo(bodyB.position.x, bodyB.position.y);
-      c.lineTo(bodyB.position.x - collision.penetration.x * k, bodyB.position.y - collision.penetration.y * k);
+      geometry.lineWidth = lineWidth;
+      node.attr({
+        size: [2 * r - lineWidth, 2 * r - lineWidth],
+        borderRadius: r,
+      });
+    } else if(kind === 'sprite' || kind === 'text') {
+      // textures and texts keep their size, so scale them with the body
+      const sprite = part.render.sprite,
+        bounds = Bounds.create(_localVertices(part)),
+        width = bounds.max.x - bounds.min.x,
+        height = bounds.max.y - bounds.min.y,
+        base = part.spriteGeometry ? part.spriteGeometry.base : [width, height];
+
+      geometry.base = base;
+      // zoomed with the view by the root group, see poseNode
+      geometry.scale = [sprite.xScale * width / base[0], sprite.yScale * height / base[1]];
+
+      // texts are laid out in the width of the body, so that they can be aligned in it
+      if(kind === 'text') node.attr({width: base[0]});
+    } else if(kind === 'group') {
+      // the box of the group holds the convex hull, with room for the strokes of the parts,
+      // as groups only draw the children inside their box; it's anchored on the centre of mass
+      const padding = part.parts.reduce((width, p) => Math.max(width, p.render.lineWidth || 0), 0) + 2,
+        bounds = Bounds.create(_localVertices(part)),
+        width = bounds.max.x - bounds.min.x + 2 * padding,
+        height = bounds.max.y - bounds.min.y + 2 * padding;
+
+      geometry.origin = [padding - bounds.min.x, padding - bounds.min.y];
+      node.attr({
+        size: [width, height],
+        anchor: [geometry.origin[0] / width, geometry.origin[1] / height],
+      });
+    } else {
+      let vertices = _localVertices(part);
+      if(!showInternalEdges) {
+        vertices = vertices.filter(v => !v.isInternal);
+      }
 
-      k = 1;
+      // the path is drawn at pathOffset inside the node box, compensate it
+      // so that the origin of the path is the anchor of the node
+      const [ox, oy] = node.pathOffset;
 
-      if(!bodyB.isStatic && !bodyA.isStatic) k = 0.5;
-      if(bodyA.isStatic) k = 0;
+      let d = '';
+      for(let j = 0; j < vertices.length; j++) {
+        const x = Math.round((vertices[j].x - ox) * 100) / 100,
+          y = Math.round((vertices[j].y - oy) * 100) / 100;
+        d += `${j ? 'L' : 'M'}${x},${y}`;
+      }
+      d += 'z';
 
-      c.moveTo(bodyA.position.x, bodyA.position.y);
-      c.lineTo(bodyA.position.x + collision.penetration.x * k, bodyA.position.y + collision.penetration.y * k);
+      geometry.pathOffset = [ox, oy];
+      node.attr({
+        anchor: 0,
+        path: {d},
+      });
     }
 
-    if(options.wireframes) {
-      c.strokeStyle = 'rgba(255,165,0,0.5)';
-    } else {
-      c.strokeStyle = 'orange';
+    part.spriteGeometry = geometry;
+  }
+
+  /**
+  * Dispatches the collision events of the engine (`collisionStart`, `collisionActive` and `collisionEnd`)
+  * on the nodes of the bodies involved, as `collisionstart`, `collisionactive` and `collisionend` spritejs events:
+  *
+  *   node.on('collisionstart', ({other, normal, relativeSpeed}) => { ... });
+  *
+  * The events of a compound body are dispatched on the node of the body (see `Render.nodeOf`), e.g. its Group
+  * in sprite mode, with the part that collided as `part`, not on the nodes of its parts.
+  * The event holds the `body` and `part` of the node, the `other` body, its `otherPart` and `otherNode` (if any),
+  * the `pair`, the world points of the `contacts`, the `normal` pointing to the other body, the `depth`
+  * of the penetration and the `relativeSpeed` of the bodies.
+  * @method dispatchCollisions
+  * @private
+  * @param {render} render
+  * @param {object} event
+  */
+  function _dispatchCollisions(render, event) {
+    const type = event.name.toLowerCase(),
+      pairs = event.pairs;
+
+    for(let i = 0; i < pairs.length; i++) {
+      const pair = pairs[i];
+      _dispatchCollision(render, type, pair, pair.bodyA, pair.bodyB);
+      _dispatchCollision(render, type, pair, pair.bodyB, pair.bodyA);
     }
-    c.stroke();
-  };
+  }
 
   /**
-  * Description
+  * Dispatches a collision event on the node of the body of one of the parts of a pair.
+  * @method dispatchCollision
   * @private
-  * @method grid
   * @param {render} render
-  * @param {grid} grid
-  * @param {RenderingContext} context
+  * @param {string} type
+  * @param {pair} pair
+  * @param {body} part
+  * @param {body} otherPart
   */
-  Render.grid = function (render, grid, context) {
-    const c = context,
-      options = render.options;
+  function _dispatchCollision(render, type, pair, part, otherPart) {
+    const node = Render.nodeOf(render, part.parent);
+    if(!node) return;
+
+    const body = part.parent,
+      other = otherPart.parent,
+      normal = pair.collision.normal,
+      towardsOther = Vector.dot(normal, Vector.sub(otherPart.position, part.position)) >= 0;
+
+    node.dispatchEvent(type, {
+      body,
+      part,
+      other,
+      otherPart,
+      otherNode: Render.nodeOf(render, otherPart.parent),
+      pair,
+      contacts: pair.activeContacts.map(contact => ({x: contact.vertex.x, y: contact.vertex.y})),
+      normal: towardsOther ? {x: normal.x, y: normal.y} : Vector.neg(normal),
+      depth: pair.collision.depth,
+      relativeSpeed: Vector.magnitude(Vector.sub(body.velocity, other.velocity)),
+    }, true, true);
+  }
 
-    if(options.wireframes) {
-      c.strokeStyle = 'rgba(255,180,0,0.1)';
-    } else {
-      c.strokeStyle = 'rgba(255,180,0,0.5)';
+  /**
+  * Hides the nodes of the bodies and constraints that left the view since the last frame, keeping their order
+  * in the layer, and shows the nodes of those that entered it, firing `bodyLeaveView` and `bodyEnterView`,
+  * and `bodyLeaveView` for the bodies in view that were removed from the world.
+  * The nodes shown are resynced as they are drawn. Bound nodes keep following their bodies out of the view.
+  * @method cullNodes
+  * @private
+  * @param {render} render
+  * @param {body[]} bodies The bodies in view
+  * @param {constraint[]} constraints The constraints in view
+  * @param {body[]} allBodies
+  * @param {constraint[]} allConstraints
+  */
+  function _cullNodes(render, bodies, constraints, allBodies, allConstraints) {
+    const inView = new Set(bodies);
+
+    for(let i = 0; i < constraints.length; i++) {
+      inView.add(constraints[i]);
     }
 
-    c.beginPath();
+    const _setCulled = (part, culled) => {
+      const node = render.spriteNodes.get(part);
+      if(culled && node && part.spriteCulled == null) {
+        part.spriteCulled = node.attr('opacity');
+        node.attr('opacity', 0);
+        if(part.spriteAnchors) part.spriteAnchors.attr('opacity', 0);
+      } else if(!culled && part.spriteCulled != null) {
+        node.attr('opacity', part.spriteCulled);
+        delete part.spriteCulled;
+      }
+    };
 
-    const bucketKeys = Common.keys(grid.buckets);
+    for(let i = 0; i < allBodies.length; i++) {
+      const body = allBodies[i],
+        visible = inView.has(body),
+        binding = render.bindings.get(body);
 
-    for(let i = 0; i < bucketKeys.length; i++) {
-      const bucketId = bucketKeys[i];
+      if(binding && !visible) {
+        _syncBinding(render, binding);
+      }
 
-      if(grid.buckets[bucketId].length < 2) {
-        continue;
-      } const region = bucketId.split(/C|R/);
-      c.rect(
-        0.5 + parseInt(region[1], 10) * grid.bucketWidth,
-        0.5 + parseInt(region[2], 10) * grid.bucketHeight,
-        grid.bucketWidth,
-        grid.bucketHeight
-      );
-    }
+      _setCulled(body, !visible);
+      for(let k = 1; k < body.parts.length; k++) {
+        _setCulled(body.parts[k], !visible);
+      }
 
-    c.lineWidth = 1;
-    c.stroke();
-  };
+      if(visible !== render.inView.has(body)) {
+        Events.trigger(render, visible ? 'bodyEnterView' : 'bodyLeaveView', {body});
+      }
+    }
 
-  /**
-  * Description
-  * @private
-  * @method inspector
-  * @param {inspector} inspector
-  * @param {RenderingContext} context
-  */
-  Render.inspector = function (inspector, context) {
-    const selected = inspector.selected,
-      render = inspector.render,
-      options = render.options;
-    let bounds;
-    if(options.hasBounds) {
-      const boundsWidth = render.bounds.max.x - render.bounds.min.x,
-        boundsHeight = render.bounds.max.y - render.bounds.min.y,
-        boundsScaleX = boundsWidth / render.options.width,
-        boundsScaleY = boundsHeight / render.options.height;
-
-      context.scale(1 / boundsScaleX, 1 / boundsScaleY);
-      context.translate(-render.bounds.min.x, -render.bounds.min.y);
-    }
-
-    for(let i = 0; i < selected.length; i++) {
-      const item = selected[i].data;
-
-      context.translate(0.5, 0.5);
-      context.lineWidth = 1;
-      context.strokeStyle = 'rgba(255,165,0,0.9)';
-      context.setLineDash([1, 2]);
-      let point = item.pointA;
-      switch (item.type) {
-        case 'body':
-
-          // render body selections
-          bounds = item.bounds;
-          context.beginPath();
-          context.rect(
-            Math.floor(bounds.min.x - 3), Math.floor(bounds.min.y - 3),
-            Math.floor(bounds.max.x - bounds.min.x + 6), Math.floor(bounds.max.y - bounds.min.y + 6)
-          );
-          context.closePath();
-          context.stroke();
-
-          break;
-
-        case 'constraint':
-
-          // render constraint selections
-          if(item.bodyA) { point = item.pointB }
-          context.beginPath();
-          context.arc(point.x, point.y, 10, 0, 2 * Math.PI);
-          context.closePath();
-          context.stroke();
-
-          break;
-        default:
-          break;
+    // bodies removed from the world leave the view with it
+    const inWorld = new Set(allBodies);
+    render.inView.forEach((item) => {
+      if(item.type === 'body' && !inWorld.has(item)) {
+        Events.trigger(render, 'bodyLeaveView', {body: item});
       }
+    });
 
-      context.setLineDash([]);
-      context.translate(-0.5, -0.5);
-    }
-
-    // render selection region
-    if(inspector.selectStart !== null) {
-      context.translate(0.5, 0.5);
-      context.lineWidth = 1;
-      context.strokeStyle = 'rgba(255,165,0,0.6)';
-      context.fillStyle = 'rgba(255,165,0,0.1)';
-      bounds = inspector.selectBounds;
-      context.beginPath();
-      context.rect(
-        Math.floor(bounds.min.x), Math.floor(bounds.min.y),
-        Math.floor(bounds.max.x - bounds.min.x), Math.floor(bounds.max.y - bounds.min.y)
-      );
-      context.closePath();
-      context.stroke();
-      context.fill();
-      context.translate(-0.5, -0.5);
-    }
-
-    if(options.hasBounds) { context.setTransform(1, 0, 0, 1, 0, 0) }
-  };
+    for(let i = 0; i < allConstraints.length; i++) {
+      _setCulled(allConstraints[i], !inView.has(allConstraints[i]));
+    }
+
+    render.inView = inView;
+  }
 
   /**
-  * Applies the background to the canvas using CSS.
-  * @method applyBackground
+  * Releases the nodes of all parts that no longer belong to the given bodies,
+  * i.e. bodies removed by `World.remove` or `Composite.clear` and parts replaced by `Body.setParts`,
+  * and the nodes of the constraints that have been removed.
+  * Composites do not fire events on `Composite.clear`, so the registered parts are diffed every frame.
+  * @method releaseNodes
   * @private
   * @param {render} render
-  * @param {string} background
+  * @param {body[]} bodies All the bodies of the world
+  * @param {constraint[]} constraints All the constraints of the world
   */
-  function _applyBackground(render, background) {
-    let cssBackground = background;
+  function _releaseNodes(render, bodies, constraints) {
+    const parts = new Set(constraints);
 
-    if(/(jpg|gif|png)$/.test(background)) { cssBackground = `url(${background})` }
+    for(let i = 0; i < bodies.length; i++) {
+      const body = bodies[i];
 
-    render.canvas.style.background = cssBackground;
-    render.canvas.style.backgroundSize = 'contain';
-    render.currentBackground = background;
+      // convex hull of compound bodies
+      if(body.parts.length > 1) parts.add(body);
+
+      for(let k = body.parts.length > 1 ? 1 : 0; k < body.parts.length; k++) {
+        parts.add(body.parts[k]);
+      }
+    }
+
+    const stale = [];
+    render.spriteNodes.forEach((node, part) => {
+      if(!parts.has(part)) stale.push(part);
+    });
+
+    for(let i = 0; i < stale.length; i++) {
+      _releaseNode(render, stale[i]);
+    }
+
+    // single bodies and compound bodies are both in the set
+    render.bindings.forEach((binding, body) => {
+      if(!parts.has(body)) render.bindings.delete(body);
+    });
   }
 
   /*
@@ -1302,12 +2550,15 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @event beforeRender
   * @param {} event An event object
   * @param {number} event.timestamp The engine.timing.timestamp of the event
+  * @param {number} event.alpha How far the bodies are drawn between their two last steps (see `options.interpolate`)
   * @param {} event.source The source object of the event
   * @param {} event.name The name of the event
   */
 
   /**
-  * Fired after rendering
+  * Fired after rendering, once the layer of the renderer (`render.layer`) has drawn the frame.
+  * The redraws of the other layers in use, `render.categoryLayers`, the layers of `body.render.layer`
+  * and the overlay layer, are not waited for: listen to their own `update` events to draw on them.
   *
   * @event afterRender
   * @param {} event An event object
@@ -1316,6 +2567,40 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @param {} event.name The name of the event
   */
 
+  /**
+  * Fired when a body enters the view, i.e. starts overlapping `render.bounds`, before it is drawn.
+  * Bodies in view are entering it on the first frame they are drawn: when they are added to the world,
+  * or for all the bodies on the first frame of the renderer, even without bounds (`render.options.hasBounds`).
+  *
+  * @event bodyEnterView
+  * @param {} event An event object
+  * @param {body} event.body The body entering the view
+  * @param {} event.source The source object of the event
+  * @param {} event.name The name of the event
+  */
+
+  /**
+  * Fired when a body leaves the view, once its nodes are hidden, or when a body in view is removed from the world.
+  * Nothing is fired for the bodies in view when the renderer is destroyed.
+  *
+  * @event bodyLeaveView
+  * @param {} event An event object
+  * @param {body} event.body The body leaving the view
+  * @param {} event.source The source object of the event
+  * @param {} event.name The name of the event
+  */
+
+  /**
+  * Fired after `Render.setOptions` has changed options, once the nodes of the previous values are removed
+  *
+  * @event optionsChange
+  * @param {} event An event object
+  * @param {string[]} event.changed The names of the options changed
+  * @param {object} event.previous The previous values of the options changed
+  * @param {} event.source The source object of the event
+  * @param {} event.name The name of the event
+  */
+
   /*
   *
   *  Properties Documentation
@@ -1336,6 +2621,70 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @type engine
   */
 
+  /**
+  * A `Matter.Runner` stepped by `Render.run` right before each frame is drawn while it is enabled, if any.
+  * Runners created by `Runner.createFixed` are stepped with `Runner.tickFixed`.
+  *
+  * @property runner
+  * @type runner
+  * @default null
+  */
+
+  /**
+  * A spritejs layer, e.g. on top of the layer of the renderer, holding the nodes of the debug overlays
+  * (`showBounds`, `showAxes`, `showVelocity`, `showIds`, `showCollisions`, `showDebug`...),
+  * so that they don't redraw the layer of the bodies. Without one, a layer is added to the scene of the layer
+  * of the renderer the first time an overlay is turned on, and removed by `Render.destroy`.
+  * Overlays are never drawn on the layer of the renderer.
+  *
+  *   const render = Render.create({layer: scene.layer('bodies'), overlay: scene.layer('debug'), engine});
+  *
+  * @property overlay
+  * @type Layer
+  * @default null
+  */
+
+  /**
+  * The spritejs layers the bodies are drawn on by collision category, instead of the layer of the renderer,
+  * e.g. to draw the backgrounds, the actors and the foreground props of one engine on separate layers of a scene.
+  * The layers should be of the size of the layer of the renderer, as the nodes are positioned in its view.
+  * A body can also be given its own layer with `body.render.layer` (see `Render.layerOf`),
+  * and the nodes of bodies are ordered on their layer by `body.render.zIndex`.
+  *
+  *   const render = Render.create({layer: scene.layer('actors'), engine, categoryLayers: {
+  *     [backgroundCategory]: scene.layer('background'),
+  *     [propCategory]: scene.layer('props'),
+  *   }});
+  *
+  * @property categoryLayers
+  * @type object
+  * @default {}
+  */
+
+  /**
+  * The nodes of the debug overlays shown, keyed by overlay.
+  * They are updated every frame, and removed as soon as their option is turned off.
+  *
+  * @property overlays
+  * @type Map
+  */
+
+  /**
+  * The inspector enabled on the renderer, if any, whose selection is drawn on the overlay (see `Inspector.setEnabled`).
+  *
+  * @property inspector
+  * @type inspector
+  * @default null
+  */
+
+  /**
+  * The spritejs timeline stepping the engine, as given to `Render.run`, if any.
+  *
+  * @property timeline
+  * @type Timeline
+  * @default null
+  */
+
   /**
   * A reference to the element where the canvas is to be inserted (if `render.canvas` has not been specified)
   *
@@ -1354,25 +2703,34 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
 
   /**
   * The configuration options of the renderer.
+  * Change them with `Render.setOptions` while the renderer runs, so that the nodes drawn for the previous values are rebuilt.
   *
   * @property options
   * @type {}
   */
 
   /**
-  * The target width in pixels of the `render.canvas` to be created.
+  * The width in pixels of the `render.canvas`, i.e. the width of the resolution of the layer.
   *
   * @property options.width
   * @type number
-  * @default 800
+  * @readOnly
   */
 
   /**
-  * The target height in pixels of the `render.canvas` to be created.
+  * The height in pixels of the `render.canvas`, i.e. the height of the resolution of the layer.
   *
   * @property options.height
   * @type number
-  * @default 600
+  * @readOnly
+  */
+
+  /**
+  * The pixel ratio of the `render.canvas`, always 1 as the layer has its own resolution.
+  *
+  * @property options.pixelRatio
+  * @type number
+  * @readOnly
   */
 
   /**
@@ -1383,10 +2741,45 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @default false
   */
 
+  /**
+  * A flag that specifies if the bodies are drawn between their two last steps, by the `alpha` of the runner
+  * (see `Runner.createFixed`), rather than where the last step left them.
+  * The drawing lags a step behind the engine, but moves smoothly even when frames and steps don't line up.
+  *
+  * @property options.interpolate
+  * @type boolean
+  * @default false
+  */
+
+  /**
+  * The position of the light casting the shadows of the bodies in the world, when `render.options.showShadows` is set
+  * in sprite mode (see `Render.bodyShadows`). When `null`, the light is above the top centre of the view.
+  *
+  * @property options.light
+  * @type vector
+  * @default null
+  */
+
+  /**
+  * The colors of the debug drawing (the wireframes, the convex hulls and the overlays):
+  * the name of a preset of `Render.themes` (`dark`, `light` or `blueprint`), or an object of colors
+  * over the ones of the `dark` preset. Bodies override them with `body.render.theme` (see `Render.theme`).
+  * The `background` of the theme, which the `light` and `blueprint` presets have, wins over
+  * `render.options.wireframeBackground`. To keep another background, give it in the theme:
+  *
+  *   Render.setOptions(render, {theme: Object.assign({}, Render.themes.light, {background: '#fff'})});
+  *
+  * @property options.theme
+  * @type string|object
+  * @default 'dark'
+  */
+
   /**
   * A `Bounds` object that specifies the drawing view region.
   * Rendering will be automatically transformed and scaled to fit within the canvas size (`render.options.width` and `render.options.height`).
   * This allows for creating views that can pan or zoom around the scene.
+  * The nodes of the renderer are posed in the world, in root groups transformed by the view (see `Render.rootOf`),
+  * and the nodes of the debug overlays are positioned in the view (see `Render.worldToView`).
   * You must also set `render.options.hasBounds` to `true` to enable bounded rendering.
   *
   * @property bounds
@@ -1407,6 +2800,47 @@ export default function install({use, Sprite, Path, utils, registerNodeType}) {
   * @type {}
   */
 
+  /**
+  * The bodies and constraints in the view (`render.bounds`) at the last frame, whose nodes are shown.
+  * The nodes of the others are hidden, and the render fires `bodyEnterView` and `bodyLeaveView` events
+  * with the `body` entering or leaving the view.
+  *
+  * @property inView
+  * @type Set
+  */
+
+  /**
+  * The nodes bound to bodies with `Render.bind`, keyed by body.
+  *
+  * @property bindings
+  * @type Map
+  */
+
+  /**
+  * The spritejs nodes created by the renderer, keyed by the part (compound body or constraint) they draw.
+  * Nodes are released automatically once their part leaves the world.
+  * See `Render.nodeOf` to find the node of a body.
+  *
+  * @property spriteNodes
+  * @type Map
+  */
+
+  /**
+  * The parts (compound bodies or constraints) drawn by the nodes of `render.spriteNodes`, keyed by node.
+  * See `Render.bodyOf` to find the body of a node.
+  *
+  * @property spriteParts
+  * @type Map
+  */
+
+  /**
+  * The positions and angles of the bodies before the last step of the engine, keyed by body,
+  * kept when `render.options.interpolate` is set.
+  *
+  * @property transforms
+  * @type Map
+  */
+
   Matter.CanvasRender = Matter.Render;
   Matter.Render = Render;
   return {Matter};
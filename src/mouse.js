@@ -0,0 +1,288 @@
+export default function install() {
+  const Matter = require('matter-js');
+  const {Common, Composite, Constraint, Events, Mouse, MouseConstraint, World} = Matter;
+
+  const _layerEvents = [
+    'mousemove', 'mousedown', 'mouseup', 'mouseleave', 'wheel',
+    'touchstart', 'touchmove', 'touchend', 'touchcancel',
+  ];
+
+  /**
+  * Creates a mouse input fed by the events of a spritejs layer instead of the DOM events of an element,
+  * so that it uses the coordinates of the layer, whatever the size of the canvas on the page.
+  * The returned object can be used anywhere a `Matter.Mouse` is, e.g. by a `MouseConstraint` or a render.
+  * The first touch drives the mouse as well, and the other ones are tracked in `mouse.touches`,
+  * keyed by their identifier (see `MouseConstraint.fromLayer`).
+  * @method fromLayer
+  * @param {Layer} layer
+  * @return {mouse} A new mouse
+  */
+  Mouse.fromLayer = function (layer) {
+    const mouse = _createMouse();
+
+    mouse.layer = null;
+    mouse.touchId = null;
+    mouse.touches = new Map();
+
+    mouse.mousemove = function (evt) {
+      _setPosition(mouse, evt);
+      mouse.sourceEvents.mousemove = evt;
+    };
+
+    mouse.mousedown = function (evt) {
+      _setPosition(mouse, evt);
+      mouse.button = evt.originalEvent && evt.originalEvent.button ? evt.originalEvent.button : 0;
+      mouse.mousedownPosition.x = mouse.position.x;
+      mouse.mousedownPosition.y = mouse.position.y;
+      mouse.sourceEvents.mousedown = evt;
+    };
+
+    mouse.mouseup = function (evt) {
+      _setPosition(mouse, evt);
+      mouse.button = -1;
+      mouse.mouseupPosition.x = mouse.position.x;
+      mouse.mouseupPosition.y = mouse.position.y;
+      mouse.sourceEvents.mouseup = evt;
+    };
+
+    // releasing the button outside of the layer would leave the body dragged
+    mouse.mouseleave = mouse.mouseup;
+
+    mouse.wheel = function (evt) {
+      const originalEvent = evt.originalEvent || {};
+      mouse.wheelDelta = Math.max(-1, Math.min(1, originalEvent.wheelDelta || -originalEvent.deltaY || 0));
+      mouse.sourceEvents.mousewheel = evt;
+    };
+
+    mouse.touchstart = function (evt) {
+      _preventDefault(evt);
+      if(mouse.touchId == null && mouse.button === -1) {
+        mouse.touchId = evt.identifier;
+        mouse.mousedown(evt);
+      } else {
+        // the other touches share the viewport of the mouse
+        const touch = _createMouse();
+        touch.scale = mouse.scale;
+        touch.offset = mouse.offset;
+        _setPosition(touch, evt);
+        touch.button = 0;
+        touch.mousedownPosition.x = touch.position.x;
+        touch.mousedownPosition.y = touch.position.y;
+        touch.sourceEvents.mousedown = evt;
+        mouse.touches.set(evt.identifier, touch);
+      }
+    };
+
+    mouse.touchmove = function (evt) {
+      _preventDefault(evt);
+      if(evt.identifier === mouse.touchId) {
+        mouse.mousemove(evt);
+      } else if(mouse.touches.has(evt.identifier)) {
+        const touch = mouse.touches.get(evt.identifier);
+        _setPosition(touch, evt);
+        touch.sourceEvents.mousemove = evt;
+      }
+    };
+
+    mouse.touchend = function (evt) {
+      _preventDefault(evt);
+      if(evt.identifier === mouse.touchId) {
+        mouse.touchId = null;
+        mouse.mouseup(evt);
+      } else if(mouse.touches.has(evt.identifier)) {
+        const touch = mouse.touches.get(evt.identifier);
+        _setPosition(touch, evt);
+        touch.button = -1;
+        mouse.touches.delete(evt.identifier);
+      }
+    };
+
+    mouse.touchcancel = mouse.touchend;
+
+    Mouse.setLayer(mouse, layer);
+
+    return mouse;
+  };
+
+  /**
+  * Sets the layer a mouse created by `Mouse.fromLayer` listens to, removing the listeners from the previous one.
+  * Pass `null` to stop listening.
+  * @method setLayer
+  * @param {mouse} mouse
+  * @param {Layer} layer
+  */
+  Mouse.setLayer = function (mouse, layer) {
+    if(mouse.layer) {
+      _layerEvents.forEach(type => mouse.layer.off(type, mouse[type]));
+      mouse.button = -1;
+      mouse.touchId = null;
+      mouse.touches.forEach((touch) => { touch.button = -1 });
+      mouse.touches.clear();
+    }
+
+    mouse.layer = layer || null;
+
+    if(layer) {
+      _layerEvents.forEach(type => layer.on(type, mouse[type]));
+    }
+  };
+
+  /**
+  * Creates a mouse constraint fed by the events of a layer (see `Mouse.fromLayer`),
+  * which also drags bodies with the other touches, creating one more constraint per touch.
+  * The constraints of the touches fire their `startdrag` and `enddrag` events on the returned mouse constraint.
+  * Tear it down with `MouseConstraint.destroy`.
+  * @method fromLayer
+  * @param {engine} engine
+  * @param {Layer} layer
+  * @param {object} [options] The options of `MouseConstraint.create`
+  * @return {MouseConstraint} A new mouse constraint
+  */
+  MouseConstraint.fromLayer = function (engine, layer, options) {
+    const mouse = Mouse.fromLayer(layer),
+      mouseConstraint = MouseConstraint.create(engine, Object.assign({}, options, {mouse})),
+      touchConstraints = new Map();
+
+    mouseConstraint.engine = engine;
+    mouseConstraint.touchConstraints = touchConstraints;
+
+    mouseConstraint.touchHandler = () => {
+      const bodies = Composite.allBodies(engine.world);
+
+      mouse.touches.forEach((touch, id) => {
+        if(!touchConstraints.has(id)) {
+          const touchConstraint = _createTouchConstraint(mouseConstraint, touch, options);
+          touchConstraints.set(id, touchConstraint);
+          World.add(engine.world, touchConstraint);
+        }
+      });
+
+      touchConstraints.forEach((touchConstraint, id) => {
+        MouseConstraint.update(touchConstraint, bodies);
+        MouseConstraint._triggerEvents(touchConstraint);
+
+        // released by MouseConstraint.update
+        if(!mouse.touches.has(id)) {
+          touchConstraints.delete(id);
+          World.remove(engine.world, touchConstraint);
+        }
+      });
+    };
+    Events.on(engine, 'beforeUpdate', mouseConstraint.touchHandler);
+
+    return mouseConstraint;
+  };
+
+  /**
+  * Tears down a mouse constraint created by `MouseConstraint.fromLayer`: stops listening to its layer
+  * and to its engine, and removes the constraints of the touches from the world.
+  * @method destroy
+  * @param {MouseConstraint} mouseConstraint
+  */
+  MouseConstraint.destroy = function (mouseConstraint) {
+    const {engine, touchConstraints, touchHandler} = mouseConstraint;
+
+    Mouse.setLayer(mouseConstraint.mouse, null);
+
+    if(touchHandler) {
+      Events.off(engine, 'beforeUpdate', touchHandler);
+      touchConstraints.forEach(touchConstraint => World.remove(engine.world, touchConstraint));
+      touchConstraints.clear();
+      mouseConstraint.touchHandler = null;
+    }
+  };
+
+  /**
+  * Creates the constraint of a touch, like `MouseConstraint.create` does but updated by `MouseConstraint.fromLayer`.
+  * @method createTouchConstraint
+  * @private
+  * @param {MouseConstraint} mouseConstraint The mouse constraint of the layer
+  * @param {mouse} touch
+  * @param {object} [options]
+  * @return {MouseConstraint} A new mouse constraint
+  */
+  function _createTouchConstraint(mouseConstraint, touch, options) {
+    const constraint = Constraint.create(Common.extend({
+      label: 'Touch Constraint',
+      pointA: touch.position,
+      pointB: {x: 0, y: 0},
+      length: 0.01,
+      stiffness: 0.1,
+      angularStiffness: 1,
+      render: {
+        strokeStyle: '#90EE90',
+        lineWidth: 3,
+      },
+    }, options && options.constraint));
+
+    const touchConstraint = {
+      type: 'mouseConstraint',
+      mouse: touch,
+      element: null,
+      body: null,
+      constraint,
+      collisionFilter: mouseConstraint.collisionFilter,
+    };
+
+    // drag events are fired on the mouse constraint of the layer
+    touchConstraint.events = mouseConstraint.events || (mouseConstraint.events = {});
+
+    return touchConstraint;
+  }
+
+  /**
+  * Creates the state of a mouse, as `Mouse.create` does, without listening to any element.
+  * @method createMouse
+  * @private
+  * @return {mouse} mouse
+  */
+  function _createMouse() {
+    return {
+      element: null,
+      absolute: {x: 0, y: 0},
+      position: {x: 0, y: 0},
+      mousedownPosition: {x: 0, y: 0},
+      mouseupPosition: {x: 0, y: 0},
+      offset: {x: 0, y: 0},
+      scale: {x: 1, y: 1},
+      wheelDelta: 0,
+      button: -1,
+      pixelRatio: 1,
+      sourceEvents: {
+        mousemove: null,
+        mousedown: null,
+        mouseup: null,
+        mousewheel: null,
+      },
+    };
+  }
+
+  /**
+  * Updates the position of a mouse from a layer event, through its scale and offset.
+  * @method setPosition
+  * @private
+  * @param {mouse} mouse
+  * @param {object} evt
+  */
+  function _setPosition(mouse, evt) {
+    mouse.absolute.x = evt.layerX;
+    mouse.absolute.y = evt.layerY;
+    mouse.position.x = mouse.absolute.x * mouse.scale.x + mouse.offset.x;
+    mouse.position.y = mouse.absolute.y * mouse.scale.y + mouse.offset.y;
+  }
+
+  /**
+  * Prevents touches from scrolling the page.
+  * @method preventDefault
+  * @private
+  * @param {object} evt
+  */
+  function _preventDefault(evt) {
+    const originalEvent = evt.originalEvent;
+    if(originalEvent && originalEvent.cancelable && originalEvent.preventDefault) {
+      originalEvent.preventDefault();
+    }
+  }
+
+  return {Matter};
+}
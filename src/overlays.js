@@ -0,0 +1,822 @@
+import {circlePath} from './paths';
+
+export default function install({Path, Label}) {
+  const Matter = require('matter-js');
+  const {Common, Composite, Grid, Render} = Matter;
+
+  // the options drawing on the overlay layer
+  const _overlayOptions = ['showBounds', 'showAxes', 'showAngleIndicator', 'showPositions', 'showVelocity', 'showIds',
+    'showSeparations', 'showCollisions', 'showVertexNumbers', 'showMousePosition', 'showBroadphase', 'showDebug'];
+
+  /**
+  * Draws the debug overlays turned on in the options, and the selection of the inspector enabled on the renderer
+  * (`render.inspector`), and removes the nodes of the ones turned off.
+  * Overlays are retained nodes on `render.overlay`, drawn in the view, so that they never redraw the layer
+  * of the bodies. Without one, an overlay layer is added to the scene of the layer of the renderer
+  * the first time an overlay is turned on. Called by `Render.world` every frame.
+  * @method debugOverlays
+  * @param {render} render
+  * @param {body[]} bodies The bodies in view
+  */
+  Render.debugOverlays = function (render, bodies) {
+    const {engine, options} = render,
+      pairs = engine.pairs.list;
+
+    render.overlaysDrawn = new Set();
+
+    if((render.inspector || _overlayOptions.some(key => options[key])) && _overlayLayer(render)) {
+      if(options.showBounds) { Render.bodyBounds(render, bodies) }
+
+      if(options.showAxes || options.showAngleIndicator) { Render.bodyAxes(render, bodies) }
+
+      if(options.showPositions) { Render.bodyPositions(render, bodies) }
+
+      if(options.showVelocity) { Render.bodyVelocity(render, bodies) }
+
+      if(options.showIds) { Render.bodyIds(render, bodies) }
+
+      if(options.showSeparations) { Render.separations(render, pairs) }
+
+      if(options.showCollisions) { Render.collisions(render, pairs) }
+
+      if(options.showVertexNumbers) { Render.vertexNumbers(render, bodies) }
+
+      if(options.showMousePosition && render.mouse) { Render.mousePosition(render, render.mouse) }
+
+      if(options.showBroadphase && engine.broadphase.controller === Grid) { Render.grid(render, engine.broadphase) }
+
+      if(options.showDebug) { Render.debug(render) }
+
+      if(render.inspector) { Render.inspector(render.inspector) }
+    }
+
+    render.overlays.forEach((nodes, key) => {
+      if(!render.overlaysDrawn.has(key)) _removeOverlay(render, key);
+    });
+  };
+
+  /**
+  * Removes the nodes of all the debug overlays, and the overlay layer from its scene if the renderer added it.
+  * Called by `Render.destroy`.
+  * @method clearOverlays
+  * @param {render} render
+  */
+  Render.clearOverlays = function (render) {
+    render.overlays.forEach((nodes, key) => _removeOverlay(render, key));
+
+    if(render.overlayCreated) {
+      const layer = render.overlay;
+      if(layer.parent) layer.parent.removeLayer(layer);
+      render.overlay = null;
+      render.overlayCreated = false;
+    }
+  };
+
+  /**
+  * The built-in themes of the debug drawing, selected by name with `render.options.theme`:
+  * `dark` for the dark backgrounds of the wireframes, `light` for light backgrounds
+  * and `blueprint`, white lines on a blue background.
+  * A theme has the colors of the wireframes, of the convex hulls, of the selection of the inspector
+  * and of each overlay, named after its key in `render.overlays`, plus the `background` of the wireframes
+  * (`render.options.wireframeBackground` only when it has none). More themes can be added before being selected.
+  *
+  * @property themes
+  * @type object
+  */
+  Render.themes = {
+    dark: {
+      wireframe: '#bbb',
+      hull: 'rgba(255,255,255,0.2)',
+      bounds: 'rgba(255,255,255,0.8)',
+      axes: 'indianred',
+      positions: 'indianred',
+      positionsPrev: 'rgba(255,165,0,0.8)',
+      velocity: 'cornflowerblue',
+      ids: 'rgba(255,255,255,0.5)',
+      vertexNumbers: 'rgba(255,255,255,0.2)',
+      collisions: 'rgba(255,255,255,0.7)',
+      collisionNormals: 'rgba(255,165,0,0.7)',
+      separations: 'rgba(255,165,0,0.5)',
+      grid: 'rgba(255,180,0,0.1)',
+      mousePosition: 'rgba(255,255,255,0.8)',
+      debug: 'rgba(255,255,255,0.5)',
+      selection: 'rgba(255,165,0,0.9)',
+      selectionRegion: 'rgba(255,165,0,0.6)',
+      selectionRegionFill: 'rgba(255,165,0,0.1)',
+    },
+    light: {
+      background: '#f4f4f0',
+      wireframe: '#555',
+      hull: 'rgba(0,0,0,0.2)',
+      bounds: 'rgba(0,0,0,0.4)',
+      axes: 'crimson',
+      positions: 'crimson',
+      positionsPrev: 'rgba(230,120,0,0.8)',
+      velocity: 'royalblue',
+      ids: 'rgba(0,0,0,0.6)',
+      vertexNumbers: 'rgba(0,0,0,0.4)',
+      collisions: 'rgba(0,0,0,0.7)',
+      collisionNormals: 'rgba(230,120,0,0.9)',
+      separations: 'rgba(230,120,0,0.7)',
+      grid: 'rgba(230,120,0,0.3)',
+      mousePosition: 'rgba(0,0,0,0.8)',
+      debug: 'rgba(0,0,0,0.6)',
+      selection: 'rgba(230,120,0,0.9)',
+      selectionRegion: 'rgba(230,120,0,0.6)',
+      selectionRegionFill: 'rgba(230,120,0,0.1)',
+    },
+    blueprint: {
+      background: '#1d4e89',
+      wireframe: 'rgba(255,255,255,0.9)',
+      hull: 'rgba(255,255,255,0.3)',
+      bounds: 'rgba(255,255,255,0.5)',
+      axes: '#ffd166',
+      positions: '#ffd166',
+      positionsPrev: 'rgba(255,255,255,0.6)',
+      velocity: '#7fdbff',
+      ids: 'rgba(255,255,255,0.7)',
+      vertexNumbers: 'rgba(255,255,255,0.4)',
+      collisions: '#fff',
+      collisionNormals: '#ffd166',
+      separations: 'rgba(255,209,102,0.7)',
+      grid: 'rgba(255,255,255,0.15)',
+      mousePosition: '#fff',
+      debug: 'rgba(255,255,255,0.7)',
+      selection: '#ffd166',
+      selectionRegion: 'rgba(255,209,102,0.7)',
+      selectionRegionFill: 'rgba(255,209,102,0.15)',
+    },
+  };
+
+  /**
+  * Returns the theme of the debug drawing of a renderer: the preset of `Render.themes` named by `render.options.theme`,
+  * or the colors it holds, over the ones of the `dark` preset.
+  * With a body, the colors of `body.render.theme` override the ones of the renderer, e.g. to spot a body:
+  *
+  *   body.render.theme = {wireframe: 'red', bounds: 'red'};
+  *
+  * @method theme
+  * @param {render} render
+  * @param {body} [body]
+  * @return {object} The colors of the debug drawing
+  */
+  Render.theme = function (render, body) {
+    const source = render.options.theme;
+
+    if(render.themeSource !== source || !render.currentTheme) {
+      let theme = typeof source === 'string' ? Render.themes[source] : source;
+      if(!theme) {
+        Common.warn(`Render.theme: unknown theme "${source}", using the dark theme.`);
+      }
+      theme = Object.assign({}, Render.themes.dark, theme);
+
+      render.currentTheme = theme;
+      render.themeSource = source;
+    }
+
+    const colors = body && body.render.theme;
+    return colors ? Object.assign({}, render.currentTheme, colors) : render.currentTheme;
+  };
+
+  /**
+  * Draws the metrics of the engine on the overlay, updated twice a second.
+  * @private
+  * @method debug
+  * @param {render} render
+  */
+  Render.debug = function (render) {
+    const engine = render.engine,
+      world = engine.world,
+      metrics = engine.metrics,
+      bodies = Composite.allBodies(world),
+      space = '  ';
+
+    if(engine.timing.timestamp - (render.debugTimestamp || 0) >= 500) {
+      let text = '';
+
+      if(metrics.timing) {
+        text += `fps: ${Math.round(metrics.timing.fps)}${space}`;
+      }
+
+      // @if DEBUG
+      if(metrics.extended) {
+        if(metrics.timing) {
+          text += `delta: ${metrics.timing.delta.toFixed(3)}${space}`;
+          text += `correction: ${metrics.timing.correction.toFixed(3)}${space}`;
+        }
+
+        text += `bodies: ${bodies.length}${space}`;
+
+        if(engine.broadphase.controller === Grid) { text += `buckets: ${metrics.buckets}${space}` }
+
+        text += '\n';
+
+        text += `collisions: ${metrics.collisions}${space}`;
+        text += `pairs: ${engine.pairs.list.length}${space}`;
+        text += `broad: ${metrics.broadEff}${space}`;
+        text += `mid: ${metrics.midEff}${space}`;
+        text += `narrow: ${metrics.narrowEff}${space}`;
+      }
+      // @endif
+
+      render.debugString = text;
+      render.debugTimestamp = engine.timing.timestamp;
+    }
+
+    if(render.debugString) {
+      // in the coordinates of the layer, whatever the view
+      _overlayLabels(render, 'debug', [{text: render.debugString, pos: [50, 38]}], {
+        fillColor: Render.theme(render).debug,
+        lineHeight: 18,
+      });
+    }
+  };
+
+  /**
+  * Draws the vertex numbers of the bodies on the overlay.
+  * @private
+  * @method vertexNumbers
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.vertexNumbers = function (render, bodies) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render),
+      labels = [];
+
+    for(let i = 0; i < bodies.length; i++) {
+      const parts = bodies[i].parts,
+        color = _bodyColor(theme, bodies[i], 'vertexNumbers');
+      for(let k = parts.length > 1 ? 1 : 0; k < parts.length; k++) {
+        const part = parts[k];
+        for(let j = 0; j < part.vertices.length; j++) {
+          const x = part.position.x + (part.vertices[j].x - part.position.x) * 0.8,
+            y = part.position.y + (part.vertices[j].y - part.position.y) * 0.8;
+
+          labels.push({text: `${i}_${j}`, pos: _toView(view, x, y), color});
+        }
+      }
+    }
+
+    _overlayLabels(render, 'vertexNumbers', labels, {});
+  };
+
+  /**
+  * Draws the position of the mouse on the overlay.
+  * @private
+  * @method mousePosition
+  * @param {render} render
+  * @param {mouse} mouse
+  */
+  Render.mousePosition = function (render, mouse) {
+    const {x, y} = mouse.position,
+      [viewX, viewY] = _toView(Render.viewport(render), x, y);
+
+    _overlayLabels(render, 'mousePosition', [{
+      text: `${x}  ${y}`,
+      pos: [viewX + 5, viewY - 5],
+    }], {fillColor: Render.theme(render).mousePosition});
+  };
+
+  /**
+  * Draws the bounds of the bodies on the overlay.
+  * @private
+  * @method bodyBounds
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.bodyBounds = function (render, bodies) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render),
+      paths = {[theme.bounds]: ''};
+
+    for(let i = 0; i < bodies.length; i++) {
+      const body = bodies[i];
+
+      if(body.render.visible) {
+        const parts = bodies[i].parts,
+          color = _bodyColor(theme, body, 'bounds');
+        for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
+          const {min, max} = parts[j].bounds;
+          paths[color] = (paths[color] || '') + _rectPath(_toView(view, min.x, min.y), _toView(view, max.x, max.y));
+        }
+      }
+    }
+
+    _overlayPaths(render, 'bounds', paths, 'strokeColor', {
+      lineWidth: 1,
+    });
+  };
+
+  /**
+  * Draws the angle indicators, or all the axes, of the bodies on the overlay.
+  * @private
+  * @method bodyAxes
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.bodyAxes = function (render, bodies) {
+    const options = render.options,
+      view = Render.viewport(render),
+      theme = Render.theme(render),
+      paths = {[theme.axes]: ''};
+
+    for(let i = 0; i < bodies.length; i++) {
+      const body = bodies[i],
+        parts = body.parts,
+        color = _bodyColor(theme, body, 'axes');
+
+      if(!body.render.visible) {
+        continue;
+      }
+
+      let d = paths[color] || '';
+
+      for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
+        const part = parts[j],
+          {x, y} = part.position;
+
+        if(options.showAxes) {
+          // render all axes
+          for(let k = 0; k < part.axes.length; k++) {
+            const axis = part.axes[k];
+            d += _linePath(_toView(view, x, y), _toView(view, x + axis.x * 20, y + axis.y * 20));
+          }
+        } else {
+          // render a single axis indicator
+          const first = part.vertices[0],
+            last = part.vertices[part.vertices.length - 1];
+          d += _linePath(_toView(view, x, y), _toView(view, (first.x + last.x) / 2, (first.y + last.y) / 2));
+        }
+      }
+      paths[color] = d;
+    }
+
+    _overlayPaths(render, 'axes', paths, 'strokeColor', {
+      lineWidth: options.wireframes ? 1 : 2,
+    });
+  };
+
+  /**
+  * Draws the current and previous positions of the bodies on the overlay.
+  * @private
+  * @method bodyPositions
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.bodyPositions = function (render, bodies) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render),
+      current = {[theme.positions]: ''},
+      previous = {[theme.positionsPrev]: ''};
+
+    for(let i = 0; i < bodies.length; i++) {
+      const body = bodies[i],
+        color = _bodyColor(theme, body, 'positions'),
+        colorPrev = _bodyColor(theme, body, 'positionsPrev');
+
+      if(!body.render.visible) { continue }
+
+      // handle compound parts
+      for(let k = 0; k < body.parts.length; k++) {
+        const [x, y] = _toView(view, body.parts[k].position.x, body.parts[k].position.y);
+        current[color] = (current[color] || '') + circlePath(x, y, 3);
+      }
+
+      const [x, y] = _toView(view, body.positionPrev.x, body.positionPrev.y);
+      previous[colorPrev] = (previous[colorPrev] || '') + circlePath(x, y, 2);
+    }
+
+    _overlayPaths(render, 'positions', current, 'fillColor');
+    _overlayPaths(render, 'positionsPrev', previous, 'fillColor');
+  };
+
+  /**
+  * Draws the velocity of the bodies on the overlay.
+  * @private
+  * @method bodyVelocity
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.bodyVelocity = function (render, bodies) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render),
+      paths = {[theme.velocity]: ''};
+
+    for(let i = 0; i < bodies.length; i++) {
+      const body = bodies[i],
+        {position, positionPrev} = body,
+        color = _bodyColor(theme, body, 'velocity');
+
+      if(!body.render.visible) {
+        continue;
+      }
+
+      paths[color] = (paths[color] || '') + _linePath(
+        _toView(view, position.x, position.y),
+        _toView(view, position.x + (position.x - positionPrev.x) * 2, position.y + (position.y - positionPrev.y) * 2)
+      );
+    }
+
+    _overlayPaths(render, 'velocity', paths, 'strokeColor', {
+      lineWidth: 3,
+    });
+  };
+
+  /**
+  * Draws the ids of the bodies on the overlay.
+  * @private
+  * @method bodyIds
+  * @param {render} render
+  * @param {body[]} bodies
+  */
+  Render.bodyIds = function (render, bodies) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render),
+      labels = [];
+
+    for(let i = 0; i < bodies.length; i++) {
+      if(!bodies[i].render.visible) {
+        continue;
+      }
+      const parts = bodies[i].parts,
+        color = _bodyColor(theme, bodies[i], 'ids');
+      for(let j = parts.length > 1 ? 1 : 0; j < parts.length; j++) {
+        const part = parts[j],
+          [x, y] = _toView(view, part.position.x, part.position.y);
+
+        labels.push({text: part.id, pos: [x + 10, y - 10], color});
+      }
+    }
+
+    _overlayLabels(render, 'ids', labels, {});
+  };
+
+  /**
+  * Draws the contacts and normals of the active collisions on the overlay.
+  * @private
+  * @method collisions
+  * @param {render} render
+  * @param {pair[]} pairs
+  */
+  Render.collisions = function (render, pairs) {
+    const view = Render.viewport(render),
+      theme = Render.theme(render);
+    let contacts = '',
+      normals = '';
+
+    for(let i = 0; i < pairs.length; i++) {
+      const pair = pairs[i],
+        collision = pair.collision,
+        activeContacts = pair.activeContacts;
+
+      if(!pair.isActive || !activeContacts.length) {
+        continue;
+      }
+
+      // render collision positions
+      for(let j = 0; j < activeContacts.length; j++) {
+        const [x, y] = _toView(view, activeContacts[j].vertex.x, activeContacts[j].vertex.y);
+        contacts += _rectPath([x - 1.5, y - 1.5], [x + 2, y + 2]);
+      }
+
+      // render collision normals
+      let normalPosX = activeContacts[0].vertex.x,
+        normalPosY = activeContacts[0].vertex.y;
+
+      if(activeContacts.length === 2) {
+        normalPosX = (activeContacts[0].vertex.x + activeContacts[1].vertex.x) / 2;
+        normalPosY = (activeContacts[0].vertex.y + activeContacts[1].vertex.y) / 2;
+      }
+
+      const sign = collision.bodyB === collision.supports[0].body || collision.bodyA.isStatic === true ? -1 : 1,
+        end = _toView(view, normalPosX, normalPosY),
+        [x, y] = end;
+
+      // the normal is 8 pixels long whatever the zoom
+      normals += _linePath([x + sign * collision.normal.x * 8, y + sign * collision.normal.y * 8], end);
+    }
+
+    _overlayPath(render, 'collisions', contacts, {
+      fillColor: theme.collisions,
+    });
+    _overlayPath(render, 'collisionNormals', normals, {
+      strokeColor: theme.collisionNormals,
+      lineWidth: 1,
+    });
+  };
+
+  /**
+  * Draws the separations of the active collisions on the overlay.
+  * @private
+  * @method separations
+  * @param {render} render
+  * @param {pair[]} pairs
+  */
+  Render.separations = function (render, pairs) {
+    const view = Render.viewport(render);
+    let d = '';
+
+    for(let i = 0; i < pairs.length; i++) {
+      const pair = pairs[i];
+
+      if(!pair.isActive) {
+        continue;
+      }
+
+      const {bodyA, bodyB, penetration} = pair.collision;
+      let k = 1;
+
+      if(!bodyB.isStatic && !bodyA.isStatic) k = 0.5;
+      if(bodyB.isStatic) k = 0;
+
+      d += _linePath(
+        _toView(view, bodyB.position.x, bodyB.position.y),
+        _toView(view, bodyB.position.x - penetration.x * k, bodyB.position.y - penetration.y * k)
+      );
+
+      k = 1;
+
+      if(!bodyB.isStatic && !bodyA.isStatic) k = 0.5;
+      if(bodyA.isStatic) k = 0;
+
+      d += _linePath(
+        _toView(view, bodyA.position.x, bodyA.position.y),
+        _toView(view, bodyA.position.x + penetration.x * k, bodyA.position.y + penetration.y * k)
+      );
+    }
+
+    _overlayPath(render, 'separations', d, {
+      strokeColor: Render.theme(render).separations,
+      lineWidth: 1,
+    });
+  };
+
+  /**
+  * Draws the buckets of the broadphase grid holding several bodies on the overlay.
+  * @private
+  * @method grid
+  * @param {render} render
+  * @param {grid} grid
+  */
+  Render.grid = function (render, grid) {
+    const view = Render.viewport(render),
+      bucketKeys = Common.keys(grid.buckets);
+    let d = '';
+
+    for(let i = 0; i < bucketKeys.length; i++) {
+      const bucketId = bucketKeys[i];
+
+      if(grid.buckets[bucketId].length < 2) {
+        continue;
+      }
+
+      const region = bucketId.split(/C|R/),
+        x = parseInt(region[1], 10) * grid.bucketWidth,
+        y = parseInt(region[2], 10) * grid.bucketHeight;
+
+      d += _rectPath(_toView(view, x, y), _toView(view, x + grid.bucketWidth, y + grid.bucketHeight));
+    }
+
+    _overlayPath(render, 'grid', d, {
+      strokeColor: Render.theme(render).grid,
+      lineWidth: 1,
+    });
+  };
+
+  /**
+  * Draws the selection of an inspector on the overlay: dashed boxes around the selected bodies,
+  * dashed circles around the free ends of the selected constraints, and the box being dragged to select.
+  * @private
+  * @method inspector
+  * @param {inspector} inspector
+  */
+  Render.inspector = function (inspector) {
+    const render = inspector.render,
+      view = Render.viewport(render),
+      theme = Render.theme(render),
+      selected = inspector.selected;
+    let d = '';
+
+    for(let i = 0; i < selected.length; i++) {
+      const item = selected[i].data;
+
+      if(item.type === 'body') {
+        const [x0, y0] = _toView(view, item.bounds.min.x, item.bounds.min.y),
+          [x1, y1] = _toView(view, item.bounds.max.x, item.bounds.max.y);
+
+        d += _rectPath([x0 - 3, y0 - 3], [x1 + 3, y1 + 3]);
+      } else if(item.type === 'constraint') {
+        const point = item.bodyA ? item.pointB : item.pointA,
+          [x, y] = _toView(view, point.x, point.y);
+
+        d += circlePath(x, y, 10);
+      }
+    }
+
+    if(d) {
+      _overlayPath(render, 'selection', d, {
+        strokeColor: theme.selection,
+        lineWidth: 1,
+        lineDash: [1, 2],
+      });
+    }
+
+    if(inspector.selectStart) {
+      const {min, max} = inspector.selectBounds;
+
+      _overlayPath(render, 'selectionRegion', _rectPath(_toView(view, min.x, min.y), _toView(view, max.x, max.y)), {
+        strokeColor: theme.selectionRegion,
+        fillColor: theme.selectionRegionFill,
+        lineWidth: 1,
+      });
+    }
+  };
+
+  /**
+  * Returns the overlay layer of the renderer, adding one to the scene of the layer of the renderer
+  * when `render.overlay` isn't set. Warns and returns null when the layer isn't in a scene.
+  * @method overlayLayer
+  * @private
+  * @param {render} render
+  * @return {Layer} The overlay layer
+  */
+  function _overlayLayer(render) {
+    const scene = render.layer.parent;
+
+    if(!render.overlay && scene && typeof scene.layer === 'function') {
+      render.overlay = scene.layer(`${render.layer.id}-overlay`, {handleEvent: false});
+      render.overlayCreated = true;
+    } else if(!render.overlay && !render.overlayWarned) {
+      Common.warn('Render.debugOverlays: the layer is not in a scene, set render.overlay to draw the overlays.');
+      render.overlayWarned = true;
+    }
+
+    return render.overlay;
+  }
+
+  /**
+  * Returns the nodes of an overlay, creating or removing nodes so that there are as many as needed.
+  * @method overlayNodes
+  * @private
+  * @param {render} render
+  * @param {string} key
+  * @param {number} count
+  * @param {function} create Creates a node
+  * @return {BaseSprite[]} nodes
+  */
+  function _overlayNodes(render, key, count, create) {
+    let nodes = render.overlays.get(key);
+    if(!nodes) {
+      nodes = [];
+      render.overlays.set(key, nodes);
+    }
+
+    while(nodes.length < count) {
+      const node = create();
+      render.overlay.append(node);
+      nodes.push(node);
+    }
+    while(nodes.length > count) {
+      nodes.pop().remove();
+    }
+
+    render.overlaysDrawn.add(key);
+    return nodes;
+  }
+
+  /**
+  * Updates the path node of an overlay.
+  * @method overlayPath
+  * @private
+  * @param {render} render
+  * @param {string} key
+  * @param {string} d The path, in view coordinates
+  * @param {object} attrs The style of the path
+  */
+  function _overlayPath(render, key, d, attrs) {
+    const [node] = _overlayNodes(render, key, 1, () => new Path());
+
+    node.attr(attrs);
+
+    // cancel the offset of the path inside the box of the node
+    const [ox, oy] = node.pathOffset;
+    node.attr({pos: [-ox, -oy]});
+
+    if(node.attr('d') !== d) {
+      node.attr('d', d);
+    }
+  }
+
+  /**
+  * Updates the path nodes of an overlay drawn in the colors of the bodies, one per color:
+  * the color of the theme under the key of the overlay, and the colors of `body.render.theme` under `key:color`.
+  * @method overlayPaths
+  * @private
+  * @param {render} render
+  * @param {string} key
+  * @param {object} paths The paths by color, in view coordinates
+  * @param {string} colorAttr The attribute of the color, `strokeColor` or `fillColor`
+  * @param {object} [attrs] The rest of the style of the paths
+  */
+  function _overlayPaths(render, key, paths, colorAttr, attrs) {
+    const themeColor = Render.theme(render)[key];
+
+    Object.keys(paths).forEach((color) => {
+      const style = Object.assign({[colorAttr]: color}, attrs);
+      _overlayPath(render, color === themeColor ? key : `${key}:${color}`, paths[color], style);
+    });
+  }
+
+  /**
+  * Returns the color of a body for a key of the theme, from `body.render.theme` or else from the theme.
+  * @method bodyColor
+  * @private
+  * @param {object} theme
+  * @param {body} body
+  * @param {string} key
+  * @return {string} color
+  */
+  function _bodyColor(theme, body, key) {
+    const colors = body.render.theme;
+    return (colors && colors[key]) || theme[key];
+  }
+
+  /**
+  * Updates the label nodes of an overlay, one per text.
+  * @method overlayLabels
+  * @private
+  * @param {render} render
+  * @param {string} key
+  * @param {object[]} labels The `text` and the `pos` of the labels, in view coordinates, and their `color` if any
+  * @param {object} attrs The style of the labels
+  */
+  function _overlayLabels(render, key, labels, attrs) {
+    const nodes = _overlayNodes(render, key, labels.length, () => new Label());
+
+    for(let i = 0; i < labels.length; i++) {
+      const {text, color, pos: [x, y]} = labels[i];
+      nodes[i].attr(Object.assign({font: '12px Arial'}, attrs, {
+        text: String(text),
+        // texts were drawn from their baseline
+        pos: [Math.round(x), Math.round(y) - 12],
+      }, color ? {fillColor: color} : null));
+    }
+  }
+
+  /**
+  * Removes the nodes of an overlay.
+  * @method removeOverlay
+  * @private
+  * @param {render} render
+  * @param {string} key
+  */
+  function _removeOverlay(render, key) {
+    const nodes = render.overlays.get(key);
+    if(nodes) {
+      nodes.forEach(node => node.remove());
+      render.overlays.delete(key);
+    }
+  }
+
+  /**
+  * Maps a point of the world to the view, as `Render.worldToView` does with a transform from `Render.viewport`.
+  * @method toView
+  * @private
+  * @param {object} view
+  * @param {number} x
+  * @param {number} y
+  * @return {number[]} point
+  */
+  function _toView(view, x, y) {
+    return [(x - view.x) * view.scaleX, (y - view.y) * view.scaleY];
+  }
+
+  /**
+  * Returns the svg path of a line.
+  * @method linePath
+  * @private
+  * @param {number[]} from
+  * @param {number[]} to
+  * @return {string} path
+  */
+  function _linePath([x0, y0], [x1, y1]) {
+    const round = v => Math.round(v * 100) / 100;
+    return `M${round(x0)},${round(y0)}L${round(x1)},${round(y1)}`;
+  }
+
+  /**
+  * Returns the svg path of a rectangle.
+  * @method rectPath
+  * @private
+  * @param {number[]} min The top left corner
+  * @param {number[]} max The bottom right corner
+  * @return {string} path
+  */
+  function _rectPath([x0, y0], [x1, y1]) {
+    const round = v => Math.round(v * 100) / 100;
+    return `M${round(x0)},${round(y0)}H${round(x1)}V${round(y1)}H${round(x0)}z`;
+  }
+
+  return {Matter};
+}
@@ -0,0 +1,15 @@
+/**
+* Returns the svg path of a circle.
+* @method circlePath
+* @param {number} x
+* @param {number} y
+* @param {number} r
+* @return {string} path
+*/
+export function circlePath(x, y, r) {
+  const left = Math.round((x - r) * 100) / 100,
+    right = Math.round((x + r) * 100) / 100;
+
+  y = Math.round(y * 100) / 100;
+  return `M${right},${y}A${r},${r},0,1,1,${left},${y}A${r},${r},0,1,1,${right},${y}z`;
+}
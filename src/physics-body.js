@@ -0,0 +1,205 @@
+export default function install({Sprite, registerNodeType}) {
+  const Matter = require('matter-js');
+  const {Body, Bodies, World, Render} = Matter;
+
+  const _body = Symbol('body'),
+    _render = Symbol('render');
+
+  /**
+  * A sprite backed by a Matter body. The body is created from the `shape` of the node and its physical attributes
+  * when the node is appended to a layer that has a renderer (see `Render.renderOf`), and removed with the node.
+  *
+  *   layer.append(new PhysicsBody({pos: [100, 100], size: [40, 40], bgcolor: 'red', restitution: 0.8}));
+  *
+  * Only nodes appended to the layer itself are supported, as bodies live in layer coordinates.
+  */
+  class PhysicsBody extends Sprite {
+    get body() {
+      return this[_body] || null;
+    }
+
+    connect(parent, zOrder = 0) {
+      const ret = super.connect(parent, zOrder);
+      const render = parent && parent.layer ? Render.renderOf(parent.layer) : null;
+      if(render) {
+        this.connectRender(render);
+      }
+      return ret;
+    }
+
+    disconnect(parent) {
+      this.disconnectRender();
+      return super.disconnect(parent);
+    }
+
+    /**
+    * Creates the body of the node and adds it to the world of the renderer.
+    * Called when the node is appended, or when a renderer is created for its layer.
+    * @method connectRender
+    * @param {render} render
+    */
+    connectRender(render) {
+      this.disconnectRender();
+
+      const body = _createBody(this, render);
+
+      if(!body) {
+        return;
+      }
+
+      World.add(render.engine.world, body);
+      Render.bind(render, this, body);
+
+      this[_body] = body;
+      this[_render] = render;
+    }
+
+    /**
+    * Removes the body of the node from the world.
+    * @method disconnectRender
+    */
+    disconnectRender() {
+      const body = this[_body],
+        render = this[_render];
+
+      if(body) {
+        Render.unbind(render, this);
+        World.remove(render.engine.world, body);
+        delete this[_body];
+        delete this[_render];
+      }
+    }
+  }
+
+  PhysicsBody.defineAttributes({
+    init(attr) {
+      attr.setDefault({
+        shape: 'rectangle',
+        mass: null,
+        density: null,
+        friction: null,
+        restitution: null,
+        isStatic: false,
+        kinematic: false,
+        collisionFilter: null,
+      });
+    },
+
+    /**
+      shape: rectangle|circle|[[x, y], ...]
+      polygons are given in the box coordinates of the node
+     */
+    shape(attr, val) {
+      attr.quietSet('shape', val || 'rectangle');
+      const node = attr.subject,
+        render = node[_render];
+      if(render) {
+        // rebuild the body with its new shape
+        node.connectRender(render);
+      }
+    },
+    mass(attr, val) {
+      attr.quietSet('mass', val);
+      const body = attr.subject.body;
+      if(body && val != null) Body.setMass(body, val);
+    },
+    density(attr, val) {
+      attr.quietSet('density', val);
+      const body = attr.subject.body;
+      if(body && val != null) Body.setDensity(body, val);
+    },
+    friction(attr, val) {
+      attr.quietSet('friction', val);
+      const body = attr.subject.body;
+      if(body && val != null) body.friction = val;
+    },
+    restitution(attr, val) {
+      attr.quietSet('restitution', val);
+      const body = attr.subject.body;
+      if(body && val != null) body.restitution = val;
+    },
+    isStatic(attr, val) {
+      attr.quietSet('isStatic', !!val);
+      const body = attr.subject.body;
+      if(body) Body.setStatic(body, !!val);
+    },
+    /**
+      kinematic: the body follows the node when it is moved by attr or animate
+     */
+    kinematic(attr, val) {
+      attr.quietSet('kinematic', !!val);
+      const body = attr.subject.body;
+      if(body) body.render.kinematic = !!val;
+    },
+    collisionFilter(attr, val) {
+      attr.quietSet('collisionFilter', val);
+      const body = attr.subject.body;
+      if(body && val) Object.assign(body.collisionFilter, val);
+    },
+  });
+
+  /**
+  * Maps a point in the box of a node to the world, through the view of the renderer.
+  * @method boxPoint
+  * @private
+  * @param {BaseSprite} node
+  * @param {render} render
+  * @param {number} x
+  * @param {number} y
+  * @return {vector} point
+  */
+  function _boxPoint(node, render, x, y) {
+    const [ox, oy] = node.originalRect,
+      [px, py] = node.attr('pos'),
+      [tx, ty] = node.transform.transformPoint(ox + x, oy + y);
+
+    return Render.viewToWorld(render, {x: px + tx, y: py + ty});
+  }
+
+  /**
+  * Creates the body of a physicsbody node from its attributes.
+  * @method createBody
+  * @private
+  * @param {PhysicsBody} node
+  * @param {render} render
+  * @return {body} body
+  */
+  function _createBody(node, render) {
+    const {shape, mass, density, friction, restitution, isStatic, kinematic, collisionFilter} = node.attr(),
+      [width, height] = node.offsetSize,
+      topLeft = _boxPoint(node, render, 0, 0),
+      topRight = _boxPoint(node, render, width, 0),
+      bottomLeft = _boxPoint(node, render, 0, height),
+      center = _boxPoint(node, render, width / 2, height / 2),
+      options = {isStatic, render: {kinematic}};
+
+    if(density != null) options.density = density;
+    if(friction != null) options.friction = friction;
+    if(restitution != null) options.restitution = restitution;
+    if(collisionFilter) options.collisionFilter = Object.assign({category: 0x0001, mask: 0xFFFFFFFF, group: 0}, collisionFilter);
+
+    let body;
+    if(shape === 'circle') {
+      const radius = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) / 2;
+      body = Bodies.circle(center.x, center.y, radius, options);
+    } else if(Array.isArray(shape)) {
+      body = Bodies.fromPolygon(shape.map(([x, y]) => _boxPoint(node, render, x, y)), options);
+    } else {
+      options.angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+      body = Bodies.rectangle(
+        center.x, center.y,
+        Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y),
+        Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y),
+        options
+      );
+    }
+
+    if(body && mass != null) Body.setMass(body, mass);
+
+    return body;
+  }
+
+  registerNodeType('physicsbody', PhysicsBody);
+
+  return {PhysicsBody};
+}
@@ -0,0 +1,134 @@
+export default function install() {
+  const Matter = require('matter-js');
+  const {Common, Engine, Events, Runner} = Matter;
+
+  /**
+  * Creates a runner stepping the engine by a fixed `delta`, as many times as the time elapsed allows,
+  * and keeping the remaining time in an accumulator. The fraction of a step left, `runner.alpha`,
+  * is used by a renderer with `options.interpolate` set to draw the bodies between their two last steps,
+  * so that motion looks smooth whatever the rate of the frames. Run it with `Runner.tickFixed`,
+  * or pass it to `Render.create` to have `Render.run` do so.
+  *
+  *   const runner = Runner.createFixed({delta: 1000 / 120});
+  *   const render = Render.create({layer, engine, runner, options: {interpolate: true}});
+  *
+  * @method createFixed
+  * @param {object} [options]
+  * @return {runner} A new runner
+  */
+  Runner.createFixed = function (options) {
+    const defaults = {
+      delta: 1000 / 60,
+      maxSteps: 5,
+      accumulator: 0,
+      alpha: 1,
+      timePrev: null,
+      timeScalePrev: 1,
+      frameRequestId: null,
+      isFixed: true,
+      isFixedStep: true,
+      enabled: true,
+    };
+
+    return Common.extend(defaults, options);
+  };
+
+  /**
+  * Steps the engine by the fixed delta of a runner created by `Runner.createFixed`,
+  * once per delta elapsed since the last tick, and updates `runner.alpha`.
+  * Steps beyond `runner.maxSteps` are dropped, so that a slow frame doesn't make the next ones slower.
+  * Triggers the `beforeTick`, `tick` and `afterTick` events on the runner,
+  * and `beforeUpdate` and `afterUpdate` around each step.
+  * @method tickFixed
+  * @param {runner} runner
+  * @param {engine} engine
+  * @param {number} time
+  */
+  Runner.tickFixed = function (runner, engine, time) {
+    const timing = engine.timing,
+      event = {
+        timestamp: timing.timestamp,
+      };
+
+    Events.trigger(runner, 'beforeTick', event);
+
+    if(runner.timePrev != null) {
+      runner.accumulator += Math.max(0, time - runner.timePrev);
+    }
+    runner.timePrev = time;
+
+    let correction = 1;
+    if(runner.timeScalePrev !== 0) {
+      correction = timing.timeScale / runner.timeScalePrev;
+    }
+    if(timing.timeScale === 0) {
+      correction = 0;
+    }
+    runner.timeScalePrev = timing.timeScale;
+
+    Events.trigger(runner, 'tick', event);
+
+    let steps = 0;
+    while(runner.accumulator >= runner.delta && steps < runner.maxSteps) {
+      Events.trigger(runner, 'beforeUpdate', event);
+      Engine.update(engine, runner.delta, correction);
+      Events.trigger(runner, 'afterUpdate', event);
+
+      runner.accumulator -= runner.delta;
+      correction = 1;
+      steps++;
+    }
+
+    if(runner.accumulator >= runner.delta) {
+      // too far behind to catch up
+      runner.accumulator %= runner.delta;
+    }
+
+    runner.alpha = runner.accumulator / runner.delta;
+
+    Events.trigger(runner, 'afterTick', event);
+  };
+
+  /*
+  *
+  *  Properties Documentation
+  *
+  */
+
+  /**
+  * The fixed time of each step of the engine, in milliseconds.
+  *
+  * @property delta
+  * @type number
+  * @default 1000 / 60
+  */
+
+  /**
+  * The maximum number of steps per tick.
+  *
+  * @property maxSteps
+  * @type number
+  * @default 5
+  */
+
+  /**
+  * The time elapsed that has not been stepped yet, in milliseconds.
+  *
+  * @property accumulator
+  * @type number
+  * @default 0
+  * @readOnly
+  */
+
+  /**
+  * The fraction of a step the accumulator holds after a tick, between 0 and 1:
+  * how far the time drawn is between the two last steps.
+  *
+  * @property alpha
+  * @type number
+  * @default 1
+  * @readOnly
+  */
+
+  return {Matter};
+}